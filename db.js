@@ -1,4 +1,5 @@
 const { Pool } = require("pg")
+const { AsyncLocalStorage } = require("node:async_hooks");
 
 // Uses the DATABASE_URL you referenced in Railway
 // In dev, if DATABASE_URL is not set, we fall back to an in-memory Postgres (pg-mem)
@@ -60,8 +61,133 @@ if (USING_PGMEM) {
   });
 }
 
+// Connection of the transaction the caller is running in (see withTransaction), if any.
+const txStore = new AsyncLocalStorage();
+
 async function query(text, params) {
-  return pool.query(text, params)
+  const tx = txStore.getStore();
+  return (tx && !tx.done ? tx.client : pool).query(text, params);
+}
+
+// Runs fn(tx) between BEGIN and COMMIT on one pooled connection and returns its result.
+// A throw rolls back and rethrows; fn can also end early with `await tx.rollback()` and return
+// normally (e.g. a check that fails after a debit). `tx(text, params)` queries that connection,
+// and so does the module-level query() anywhere inside fn, so shared helpers join the
+// transaction. A nested withTransaction joins the outer one.
+async function withTransaction(fn) {
+  const outer = txStore.getStore();
+  if (outer && !outer.done) return fn(outer.tx);
+
+  const client = await pool.connect();
+  const state = { client, done: false, rolledBack: false };
+  const tx = (text, params) => client.query(text, params);
+  tx.rollback = async () => {
+    if (state.rolledBack) return;
+    state.rolledBack = true;
+    await client.query("ROLLBACK");
+  };
+  state.tx = tx;
+
+  let broken = false;
+  try {
+    await client.query("BEGIN");
+    const result = await txStore.run(state, () => fn(tx));
+    if (!state.rolledBack) await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    if (!state.rolledBack) {
+      await client.query("ROLLBACK").catch(() => {
+        broken = true;
+      });
+    }
+    throw e;
+  } finally {
+    state.done = true;
+    client.release(broken || undefined);
+  }
+}
+
+// Session-level advisory lock held on a dedicated connection (leader election across instances).
+// Returns a handle while the lock is held, or null if another session owns it.
+// pg-mem has no advisory locks; it is single-process, so the caller is always the leader.
+async function tryAdvisoryLock(key) {
+  if (USING_PGMEM) {
+    return { alive: async () => true, release: async () => {} };
+  }
+
+  const client = await pool.connect();
+  let locked = false;
+  try {
+    const r = await client.query(`SELECT pg_try_advisory_lock($1) AS locked`, [key]);
+    locked = !!r.rows[0]?.locked;
+  } finally {
+    if (!locked) client.release();
+  }
+  if (!locked) return null;
+
+  let lost = false;
+  let released = false;
+  client.on("error", () => {
+    lost = true;
+  });
+  // Whichever path notices the loss first (error event or failed probe), the broken client goes
+  // back to the pool exactly once.
+  const discard = () => {
+    if (released) return;
+    released = true;
+    client.release(true);
+  };
+
+  return {
+    // The lock dies with the session; probe it so a dropped connection gives up leadership.
+    alive: async () => {
+      if (lost) {
+        discard();
+        return false;
+      }
+      try {
+        await client.query("SELECT 1");
+        return true;
+      } catch (_) {
+        lost = true;
+        discard();
+        return false;
+      }
+    },
+    release: async () => {
+      if (lost) return discard();
+      if (released) return;
+      await client.query(`SELECT pg_advisory_unlock($1)`, [key]).catch(() => {});
+      released = true;
+      client.release();
+    },
+  };
+}
+
+// LISTEN on a dedicated connection; reconnects on error. Returns false under pg-mem (no NOTIFY).
+async function listen(channel, onPayload) {
+  if (USING_PGMEM) return false;
+
+  const client = await pool.connect();
+  client.on("notification", (msg) => {
+    if (msg.channel === channel) onPayload(msg.payload);
+  });
+  client.on("error", (e) => {
+    console.warn(`[db] LISTEN ${channel} connection lost`, e?.message || e);
+    client.release(true);
+    const retry = () =>
+      listen(channel, onPayload).catch((err) => {
+        console.warn(`[db] LISTEN ${channel} reconnect failed`, err?.message || err);
+        setTimeout(retry, 5000);
+      });
+    setTimeout(retry, 5000);
+  });
+  await client.query(`LISTEN ${channel}`);
+  return true;
+}
+
+async function notify(channel, payload) {
+  return query(`SELECT pg_notify($1, $2)`, [channel, payload]);
 }
 
 // This will be used to create tables on startup
@@ -235,6 +361,41 @@ async function initDb() {
     );
   `);
 
+  // 1g) referrals: one code per wallet, a referee is bound to a referrer once (before it plays)
+  await query(`
+    CREATE TABLE IF NOT EXISTS referral_codes (
+      wallet TEXT PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS referrals (
+      referee TEXT PRIMARY KEY,
+      referrer TEXT NOT NULL,
+      code TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS referrals_referrer_idx ON referrals(referrer);
+  `);
+
+  // 1h) responsible play: per-wallet limits, cooldown ("take a break") and self-exclusion.
+  // NULL limit = no limit. Loosening changes wait in pending_changes until pending_effective_at.
+  await query(`
+    CREATE TABLE IF NOT EXISTS play_limits (
+      wallet TEXT PRIMARY KEY,
+      daily_deposit_limit_sol NUMERIC(30, 10),
+      weekly_deposit_limit_sol NUMERIC(30, 10),
+      daily_entry_limit INTEGER,
+      weekly_entry_limit INTEGER,
+      cooldown_until TIMESTAMP,
+      excluded_until TIMESTAMP,
+      pending_changes TEXT,
+      pending_effective_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
   // ===== Great Expedition (v2) =====
   await query(`
     CREATE TABLE IF NOT EXISTS ge_rounds (
@@ -251,7 +412,31 @@ async function initDb() {
       seed_commit TEXT,
       seed_reveal TEXT,
       alien_ids TEXT,
-      game_mode TEXT
+      game_mode TEXT,
+      entries_snapshot TEXT,
+      ticket INTEGER,
+      template_id INTEGER,
+      entry_price_sol NUMERIC(30, 10),
+      winner_bps INTEGER,
+      participation_bps INTEGER,
+      treasury_bps INTEGER,
+      entry_cutoff_ms INTEGER,
+      duration_minutes INTEGER,
+      refunded_at TIMESTAMP,
+      elimination_order TEXT,
+      elimination_tier_bps TEXT,
+      race_timeline TEXT,
+      entries_root TEXT,
+      entries_root_at TIMESTAMP,
+      jackpot_contribution NUMERIC(30, 10),
+      jackpot_odds INTEGER,
+      jackpot_hit BOOLEAN,
+      jackpot_paid NUMERIC(30, 10),
+      table_key TEXT NOT NULL DEFAULT 'main',
+      host_wallet TEXT,
+      invite_code TEXT,
+      host_fee_bps INTEGER,
+      host_fee_paid NUMERIC(30, 10)
     );
 
     -- Ensure new columns exist if schema evolves
@@ -259,6 +444,65 @@ async function initDb() {
     ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS seed_reveal TEXT;
     ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS alien_ids TEXT;
     ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS game_mode TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS entries_snapshot TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS ticket INTEGER;
+    -- Per-round config snapshot (from ge_round_templates); NULL on legacy rounds = env defaults
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS template_id INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS entry_price_sol NUMERIC(30, 10);
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS winner_bps INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS participation_bps INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS treasury_bps INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS entry_cutoff_ms INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS elimination_order TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS elimination_tier_bps TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS race_timeline TEXT;
+    -- Merkle root over the round's ge_entries, committed at entry cutoff and mixed into the seed
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS entries_root TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS entries_root_at TIMESTAMP;
+    -- Progressive jackpot bookkeeping per round (set at settlement)
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS jackpot_contribution NUMERIC(30, 10);
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS jackpot_odds INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS jackpot_hit BOOLEAN;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS jackpot_paid NUMERIC(30, 10);
+    -- Parallel tables: each table runs its own round sequence (existing rounds belong to 'main')
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS table_key TEXT NOT NULL DEFAULT 'main';
+    CREATE INDEX IF NOT EXISTS ge_rounds_table_idx ON ge_rounds(table_key, id);
+    -- Private rooms: player-hosted rounds (table_key 'private') joinable only with invite_code
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS host_wallet TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS invite_code TEXT;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS host_fee_bps INTEGER;
+    ALTER TABLE ge_rounds ADD COLUMN IF NOT EXISTS host_fee_paid NUMERIC(30, 10);
+    CREATE UNIQUE INDEX IF NOT EXISTS ge_rounds_invite_code_idx ON ge_rounds(invite_code);
+
+    -- GE tables: a stake level with its own rounds; template_id NULL = the default template
+    CREATE TABLE IF NOT EXISTS ge_tables (
+      table_key TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      template_id INTEGER,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    INSERT INTO ge_tables (table_key, name) VALUES ('main', 'Main') ON CONFLICT (table_key) DO NOTHING;
+
+    CREATE TABLE IF NOT EXISTS ge_round_templates (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      ships_count INTEGER NOT NULL,
+      entry_price_sol NUMERIC(30, 10) NOT NULL,
+      winner_bps INTEGER NOT NULL,
+      participation_bps INTEGER NOT NULL,
+      treasury_bps INTEGER NOT NULL,
+      entry_cutoff_ms INTEGER NOT NULL,
+      duration_minutes INTEGER NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
 
     CREATE TABLE IF NOT EXISTS ge_entries (
       id SERIAL PRIMARY KEY,
@@ -266,9 +510,21 @@ async function initDb() {
       wallet TEXT NOT NULL,
       ship_index INTEGER NOT NULL,
       qty INTEGER NOT NULL DEFAULT 1,
+      is_bot BOOLEAN NOT NULL DEFAULT FALSE,
       created_at TIMESTAMP DEFAULT NOW()
     );
 
+    -- Simulator bots (wallets 'bot-N'): shown in live totals, no tickets in the draw, never paid
+    ALTER TABLE ge_entries ADD COLUMN IF NOT EXISTS is_bot BOOLEAN NOT NULL DEFAULT FALSE;
+    UPDATE ge_entries SET is_bot = TRUE WHERE is_bot = FALSE AND wallet LIKE 'bot-%';
+
+    -- What funded each entry: the payment row it came from and the price of one ticket in it.
+    -- ticket_credits > 0 means credit-funded (ticket_sol is then the credits' SOL value);
+    -- NULL ticket_sol (bots, rows from before the columns) falls back to the round's entry price.
+    ALTER TABLE ge_entries ADD COLUMN IF NOT EXISTS payment_signature TEXT;
+    ALTER TABLE ge_entries ADD COLUMN IF NOT EXISTS ticket_sol NUMERIC(30, 10);
+    ALTER TABLE ge_entries ADD COLUMN IF NOT EXISTS ticket_credits INTEGER NOT NULL DEFAULT 0;
+
     CREATE INDEX IF NOT EXISTS ge_entries_round_wallet_idx ON ge_entries(round_id, wallet);
     CREATE INDEX IF NOT EXISTS ge_entries_round_ship_idx ON ge_entries(round_id, ship_index);
 
@@ -280,11 +536,179 @@ async function initDb() {
       created_at TIMESTAMP DEFAULT NOW()
     );
 
+    -- Payout kind: winner | jackpot | participation | tier (NULL on rows from before the column)
+    ALTER TABLE ge_payouts ADD COLUMN IF NOT EXISTS kind TEXT;
+
     CREATE TABLE IF NOT EXISTS ge_balances (
       wallet TEXT PRIMARY KEY,
       balance NUMERIC(30, 10) NOT NULL DEFAULT 0,
       updated_at TIMESTAMP DEFAULT NOW()
     );
+
+    -- Progressive jackpot pool: grows by a slice of every treasury cut, emptied when it hits
+    CREATE TABLE IF NOT EXISTS ge_jackpot (
+      pool TEXT PRIMARY KEY,
+      balance NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Side-bet markets: fixed-odds propositions attached to a round (status: open|resolved|void).
+    -- odds_bps = payout per unit staked x 10000 (stake included); liability = sum(stake * odds).
+    CREATE TABLE IF NOT EXISTS ge_side_markets (
+      id SERIAL PRIMARY KEY,
+      round_id INTEGER NOT NULL REFERENCES ge_rounds(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL,
+      params TEXT NOT NULL,
+      odds_bps INTEGER NOT NULL,
+      max_stake_sol NUMERIC(30, 10) NOT NULL,
+      max_liability_sol NUMERIC(30, 10) NOT NULL,
+      liability_sol NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'open',
+      outcome BOOLEAN,
+      created_at TIMESTAMP DEFAULT NOW(),
+      resolved_at TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS ge_side_markets_round_idx ON ge_side_markets(round_id);
+
+    -- One row per stake (source: balance|onchain; status: open|won|lost|refunded)
+    CREATE TABLE IF NOT EXISTS ge_side_bets (
+      id SERIAL PRIMARY KEY,
+      market_id INTEGER NOT NULL REFERENCES ge_side_markets(id) ON DELETE CASCADE,
+      round_id INTEGER NOT NULL,
+      wallet TEXT NOT NULL,
+      stake NUMERIC(30, 10) NOT NULL,
+      odds_bps INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      signature TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      payout NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      settled_at TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS ge_side_bets_round_idx ON ge_side_bets(round_id);
+    CREATE INDEX IF NOT EXISTS ge_side_bets_wallet_idx ON ge_side_bets(wallet);
+
+    -- Entries cancelled (refund to ge_balances minus fee) or moved to another ship before cutoff
+    CREATE TABLE IF NOT EXISTS ge_entry_changes (
+      id SERIAL PRIMARY KEY,
+      round_id INTEGER NOT NULL,
+      entry_id INTEGER NOT NULL,
+      wallet TEXT NOT NULL,
+      action TEXT NOT NULL,
+      qty INTEGER NOT NULL,
+      from_ship INTEGER NOT NULL,
+      to_ship INTEGER,
+      fee_sol NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      refund_sol NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS ge_entry_changes_round_idx ON ge_entry_changes(round_id, wallet);
+    -- Changes of credit-funded entries take their fee and refund in credits, not SOL
+    ALTER TABLE ge_entry_changes ADD COLUMN IF NOT EXISTS fee_credits INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE ge_entry_changes ADD COLUMN IF NOT EXISTS refund_credits INTEGER NOT NULL DEFAULT 0;
+
+    -- Withdrawals of ge_balances to the wallet on-chain (status: pending|debited|sending|paid)
+    CREATE TABLE IF NOT EXISTS ge_withdrawals (
+      id TEXT PRIMARY KEY,
+      wallet TEXT NOT NULL,
+      amount_sol NUMERIC(30, 10) NOT NULL,
+      lamports BIGINT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      tx_signature TEXT,
+      last_valid_block_height BIGINT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      debited_at TIMESTAMP,
+      attempt_at TIMESTAMP,
+      paid_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS ge_withdrawals_wallet_idx ON ge_withdrawals(wallet);
+
+    -- Refunds of paid entries for closed (cancelled) rounds
+    CREATE TABLE IF NOT EXISTS ge_refunds (
+      id SERIAL PRIMARY KEY,
+      round_id INTEGER NOT NULL REFERENCES ge_rounds(id) ON DELETE CASCADE,
+      wallet TEXT NOT NULL,
+      amount NUMERIC(30, 10) NOT NULL,
+      method TEXT NOT NULL,
+      withdrawal_id TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (round_id, wallet)
+    );
+
+    CREATE INDEX IF NOT EXISTS ge_refunds_wallet_idx ON ge_refunds(wallet);
+    -- Credits given back for credit-funded entries (method 'credits' when no SOL was refunded)
+    ALTER TABLE ge_refunds ADD COLUMN IF NOT EXISTS credits INTEGER NOT NULL DEFAULT 0;
+
+    -- Referral revenue share: slice of the treasury cut attributable to a referee's entries
+    CREATE TABLE IF NOT EXISTS ge_referral_earnings (
+      id SERIAL PRIMARY KEY,
+      round_id INTEGER NOT NULL REFERENCES ge_rounds(id) ON DELETE CASCADE,
+      referrer TEXT NOT NULL,
+      referee TEXT NOT NULL,
+      amount NUMERIC(30, 10) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (round_id, referee)
+    );
+
+    CREATE INDEX IF NOT EXISTS ge_referral_earnings_referrer_idx ON ge_referral_earnings(referrer);
+
+    -- GE entry credits: bought on-chain (payments kind 'ge_credits:<n>'), spent by /api/v2/ge/enter.
+    -- credit_ledger is append-only; user_credits.credits is its running sum per wallet.
+    CREATE TABLE IF NOT EXISTS user_credits (
+      wallet TEXT PRIMARY KEY,
+      credits INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS credit_ledger (
+      id SERIAL PRIMARY KEY,
+      wallet TEXT NOT NULL,
+      delta INTEGER NOT NULL,
+      reason TEXT NOT NULL,
+      ref TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS credit_ledger_wallet_idx ON credit_ledger(wallet);
+
+    -- Treasury reconciliation reports (ledger vs on-chain), one row per run
+    CREATE TABLE IF NOT EXISTS treasury_reconciliations (
+      id SERIAL PRIMARY KEY,
+      ok BOOLEAN NOT NULL,
+      report TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Leaderboards: materialized per-wallet stats, updated inside the settlement transaction.
+    -- A "win" is a settled round where the wallet had entries on the winning ship.
+    CREATE TABLE IF NOT EXISTS ge_wallet_stats (
+      wallet TEXT PRIMARY KEY,
+      entries INTEGER NOT NULL DEFAULT 0,
+      rounds_played INTEGER NOT NULL DEFAULT 0,
+      rounds_won INTEGER NOT NULL DEFAULT 0,
+      sol_won NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      biggest_win NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      current_streak INTEGER NOT NULL DEFAULT 0,
+      best_streak INTEGER NOT NULL DEFAULT 0,
+      last_round_id INTEGER,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Same stats bucketed by settlement day (UTC); weekly boards sum the days of the week.
+    -- best_streak = highest running streak reached by a round settled that day.
+    CREATE TABLE IF NOT EXISTS ge_wallet_daily_stats (
+      day DATE NOT NULL,
+      wallet TEXT NOT NULL,
+      entries INTEGER NOT NULL DEFAULT 0,
+      rounds_played INTEGER NOT NULL DEFAULT 0,
+      rounds_won INTEGER NOT NULL DEFAULT 0,
+      sol_won NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      biggest_win NUMERIC(30, 10) NOT NULL DEFAULT 0,
+      best_streak INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, wallet)
+    );
   `);
 
   // 2) aliens owned by users
@@ -448,6 +872,10 @@ async function initDb() {
 
 module.exports = {
   query,
+  withTransaction,
   initDb,
+  tryAdvisoryLock,
+  listen,
+  notify,
   USING_PGMEM,
 }
@@ -3,16 +3,41 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const jwt = require("jsonwebtoken");
 const nacl = require("tweetnacl");
 const bs58 = require("bs58").default;
-const { nanoid } = require("nanoid");
+const { nanoid, customAlphabet } = require("nanoid");
 const { PublicKey, Keypair, Connection, SystemProgram, Transaction } = require("@solana/web3.js");
 const { buildTransferTx, verifySolPayment } = require("./src/sol");
 const { getSolUsdPrice, usdToLamports } = require("./src/pricing");
-const { initDb, query } = require("./db");
+const { reconcileTreasury } = require("./src/reconcile");
+const { createSimulator, parseStrategySpec } = require("./src/simulator");
+const {
+  oddsToBps,
+  validateMarket,
+  checkLiveOdds,
+  parseMarketSpec,
+  resolveMarket,
+  marketLabel,
+} = require("./src/sidebets");
+const {
+  sha256Hex,
+  newRoundSecret,
+  deriveRoundSeed,
+  entryLeaf,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+  pickWinningShip,
+  jackpotRoll,
+  deriveEliminationOrder,
+  deriveRaceTimeline,
+} = require("./src/fair");
+const { initDb, query, withTransaction, tryAdvisoryLock, listen, notify } = require("./db");
 
 const app = express();
 app.set("trust proxy", 1);
@@ -194,6 +219,8 @@ function requireAuth(req, res, next) {
       req.body?.wallet;
 
     if (typeof devWallet === "string" && devWallet.trim()) {
+      // Simulator bot wallets are reserved: nobody can act (enter, withdraw) as a bot.
+      if (isGeBotWallet(devWallet.trim())) return res.status(403).json({ error: "Reserved wallet" });
       req.auth = { wallet: devWallet.trim(), dev: true };
       return next();
     }
@@ -345,10 +372,10 @@ function getDevKeypair() {
   return _devKeypair;
 }
 
-async function sendSolPayout({ rpcUrl, toPubkey, lamports }) {
-  const payer = getDevKeypair();
+async function sendSolPayout({ rpcUrl, toPubkey, lamports, payer, onSigned }) {
+  payer = payer || getDevKeypair();
   const connection = new Connection(rpcUrl, "confirmed");
-  const { blockhash } = await connection.getLatestBlockhash("confirmed");
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
 
   const tx = new Transaction({
     recentBlockhash: blockhash,
@@ -363,13 +390,19 @@ async function sendSolPayout({ rpcUrl, toPubkey, lamports }) {
     })
   );
 
-  const sig = await connection.sendTransaction(tx, [payer], {
+  // Sign locally so the signature is known before broadcast. Callers that need crash-safe
+  // idempotency persist it in onSigned and can later look it up on-chain instead of re-sending.
+  tx.sign(payer);
+  const sig = bs58.encode(tx.signature);
+  if (onSigned) await onSigned({ signature: sig, lastValidBlockHeight });
+
+  await connection.sendRawTransaction(tx.serialize(), {
     skipPreflight: false,
     preflightCommitment: "confirmed",
     maxRetries: 3,
   });
 
-  await connection.confirmTransaction(sig, "confirmed");
+  await connection.confirmTransaction({ signature: sig, blockhash, lastValidBlockHeight }, "confirmed");
   return sig;
 }
 
@@ -925,8 +958,18 @@ app.post("/api/auth/verify", authVerifyLimiter, async (req, res) => {
     nonces.delete(wallet);
     await query(`DELETE FROM auth_nonces WHERE wallet=$1`, [wallet]);
 
+    // Optional referral code: only binds while the wallet has never played (see bindReferral).
+    let referral;
+    const refCode = req.body?.referral_code;
+    if (refCode) {
+      referral = await bindReferral(wallet, refCode).catch((e) => {
+        console.error("bindReferral error", e);
+        return { bound: false, reason: "error" };
+      });
+    }
+
     const token = jwt.sign({ wallet }, JWT_SECRET, { expiresIn: "12h" });
-    return res.json({ token, wallet, expires_in: "12h" });
+    return res.json({ token, wallet, expires_in: "12h", ...(referral ? { referral } : {}) });
   } catch (e) {
     return res.status(400).json({ error: "Bad signature format" });
   }
@@ -1214,13 +1257,344 @@ app.post("/api/register", requireAuth, async (req, res) => {
       [wallet]
     );
 
-    res.json({ ok: true });
+    const refCode = req.body?.referral_code;
+    const referral = refCode ? await bindReferral(wallet, refCode) : undefined;
+
+    res.json({ ok: true, ...(referral ? { referral } : {}) });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// ===== Referrals =====
+// Each wallet gets one shareable code. A new wallet passing `referral_code` to /api/auth/verify
+// or /api/register is bound to the code's owner for good; the referrer then earns
+// GE_REFERRAL_BPS of the GE treasury cut attributable to the referee's entries (see settleRound).
+const REFERRAL_CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const newReferralCode = customAlphabet(REFERRAL_CODE_ALPHABET, 8);
+
+function normalizeReferralCode(code) {
+  const c = String(code || "").trim().toUpperCase();
+  return /^[0-9A-Z]{4,16}$/.test(c) ? c : null;
+}
+
+async function getOrCreateReferralCode(wallet) {
+  const existing = await query(`SELECT code FROM referral_codes WHERE wallet=$1`, [wallet]);
+  if (existing.rows[0]) return existing.rows[0].code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = newReferralCode();
+    try {
+      const ins = await query(
+        `INSERT INTO referral_codes (wallet, code) VALUES ($1,$2)
+         ON CONFLICT (wallet) DO NOTHING`,
+        [wallet, code]
+      );
+      if (ins.rowCount > 0) return code;
+      // Lost a race with a concurrent request for the same wallet.
+      const again = await query(`SELECT code FROM referral_codes WHERE wallet=$1`, [wallet]);
+      if (again.rows[0]) return again.rows[0].code;
+    } catch (e) {
+      // code collision (UNIQUE) -> try another one
+      if (!/unique|duplicate/i.test(e.message)) throw e;
+    }
+  }
+  throw new Error("Failed to allocate referral code");
+}
+
+// Never throws for bad input: login/registration must not fail because of a referral code.
+// A wallet can only be referred before it has played (no payments, no GE entries); whether it has
+// a users row says nothing about that.
+async function bindReferral(wallet, rawCode) {
+  const code = normalizeReferralCode(rawCode);
+  if (!code) return { bound: false, reason: "invalid_code" };
+
+  const bound = await query(`SELECT referrer FROM referrals WHERE referee=$1`, [wallet]);
+  if (bound.rows[0]) return { bound: false, reason: "already_bound", referrer: bound.rows[0].referrer };
+
+  const r = await query(`SELECT wallet FROM referral_codes WHERE code=$1`, [code]);
+  const referrer = r.rows[0]?.wallet;
+  if (!referrer) return { bound: false, reason: "unknown_code" };
+  if (referrer === wallet) return { bound: false, reason: "self_referral" };
+
+  // No 2-cycles (A refers B, B refers A).
+  const cycle = await query(`SELECT 1 FROM referrals WHERE referee=$1 AND referrer=$2`, [referrer, wallet]);
+  if (cycle.rowCount > 0) return { bound: false, reason: "cycle" };
+
+  // The has-played guard is part of the insert itself: no payment or entry committed between a
+  // separate check and the insert can slip through.
+  await query(
+    `INSERT INTO referrals (referee, referrer, code)
+     SELECT $1, $2, $3
+     WHERE NOT EXISTS (SELECT 1 FROM payments WHERE wallet=$1)
+       AND NOT EXISTS (SELECT 1 FROM ge_entries WHERE wallet=$1)
+     ON CONFLICT (referee) DO NOTHING`,
+    [wallet, referrer, code]
+  );
+  // Re-read: nothing bound means the guard refused; a concurrent login may have bound another referrer.
+  const after = await query(`SELECT referrer FROM referrals WHERE referee=$1`, [wallet]);
+  const actual = after.rows[0]?.referrer;
+  if (!actual) return { bound: false, reason: "already_played" };
+  return actual === referrer ? { bound: true, referrer } : { bound: false, reason: "already_bound", referrer: actual };
+}
+
+app.get("/api/referrals", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+
+    const code = await getOrCreateReferralCode(wallet);
+    const by = await query(`SELECT referrer, created_at FROM referrals WHERE referee=$1`, [wallet]);
+    const rows = await query(
+      `SELECT r.referee, r.created_at,
+              COALESCE(e.amount, 0) AS earned,
+              COALESCE(e.rounds, 0) AS rounds
+       FROM referrals r
+       LEFT JOIN (
+         SELECT referee, SUM(amount) AS amount, COUNT(*) AS rounds
+         FROM ge_referral_earnings
+         WHERE referrer=$1
+         GROUP BY referee
+       ) e ON e.referee = r.referee
+       WHERE r.referrer=$1
+       ORDER BY r.created_at DESC`,
+      [wallet]
+    );
+
+    const referees = rows.rows.map((x) => ({
+      wallet: x.referee,
+      bound_at: x.created_at,
+      earned_sol: Number(x.earned),
+      rounds: Number(x.rounds),
+    }));
+
+    res.json({
+      ok: true,
+      code,
+      referral_bps: GE_REFERRAL_BPS,
+      referred_by: by.rows[0]?.referrer ?? null,
+      referees,
+      total_earned_sol: referees.reduce((a, x) => a + x.earned_sol, 0),
+    });
+  } catch (e) {
+    console.error("GET /api/referrals error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ===== Responsible play =====
+// Per-wallet deposit (SOL paid in on-chain) and entry (GE tickets) limits over rolling 24h / 7d
+// windows, a cooldown ("take a break") and a longer self-exclusion. Tightening applies at once;
+// loosening (raising or removing a limit) waits PLAY_LIMIT_LOOSEN_DELAY_MS. Cooldown and
+// self-exclusion can only be extended, never lifted early.
+const PLAY_LIMIT_LOOSEN_DELAY_MS = Number(process.env.PLAY_LIMIT_LOOSEN_DELAY_HOURS || 24) * 60 * 60 * 1000;
+const PLAY_COOLDOWN_MAX_HOURS = 30 * 24;
+const PLAY_EXCLUSION_MIN_DAYS = 30;
+const PLAY_EXCLUSION_MAX_DAYS = 5 * 365;
+const PLAY_LIMIT_FIELDS = ["daily_deposit_limit_sol", "weekly_deposit_limit_sol", "daily_entry_limit", "weekly_entry_limit"];
+const PLAY_WINDOWS = [
+  { name: "daily", ms: 24 * 60 * 60 * 1000 },
+  { name: "weekly", ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+function numOrNull(v) {
+  return v === null || v === undefined ? null : Number(v);
+}
+
+function playLimitsJson(row) {
+  let pending = null;
+  try { pending = row?.pending_changes ? JSON.parse(row.pending_changes) : null; } catch {}
+  const now = Date.now();
+  const active = (t) => (t && new Date(t).getTime() > now ? new Date(t).toISOString() : null);
+  return {
+    daily_deposit_limit_sol: numOrNull(row?.daily_deposit_limit_sol),
+    weekly_deposit_limit_sol: numOrNull(row?.weekly_deposit_limit_sol),
+    daily_entry_limit: numOrNull(row?.daily_entry_limit),
+    weekly_entry_limit: numOrNull(row?.weekly_entry_limit),
+    cooldown_until: active(row?.cooldown_until),
+    excluded_until: active(row?.excluded_until),
+    pending_changes: pending,
+    pending_effective_at: pending && row?.pending_effective_at ? new Date(row.pending_effective_at).toISOString() : null,
+  };
+}
+
+// Loads a wallet's limits, applying a matured pending loosening first.
+async function getPlayLimits(wallet) {
+  const r = await query(`SELECT * FROM play_limits WHERE wallet=$1`, [wallet]);
+  const row = r.rows[0] || null;
+  if (!row?.pending_changes || !row.pending_effective_at) return row;
+  if (new Date(row.pending_effective_at).getTime() > Date.now()) return row;
+
+  let changes = {};
+  try { changes = JSON.parse(row.pending_changes) || {}; } catch {}
+  const params = [wallet];
+  const sets = [];
+  for (const f of PLAY_LIMIT_FIELDS) {
+    if (!(f in changes)) continue;
+    params.push(changes[f]);
+    sets.push(`${f}=$${params.length}`);
+  }
+  sets.push("pending_changes=NULL", "pending_effective_at=NULL", "updated_at=NOW()");
+  await query(`UPDATE play_limits SET ${sets.join(", ")} WHERE wallet=$1 AND pending_effective_at IS NOT NULL`, params);
+  const again = await query(`SELECT * FROM play_limits WHERE wallet=$1`, [wallet]);
+  return again.rows[0] || null;
+}
+
+// Returns null when the wallet may play, otherwise an error body for a 403 response.
+// depositSol: SOL about to be paid in on-chain; entries: GE tickets about to be placed.
+async function checkPlayAllowed(wallet, { depositSol = 0, entries = 0 } = {}) {
+  const l = await getPlayLimits(wallet);
+  if (!l) return null;
+  const now = Date.now();
+
+  if (l.excluded_until && new Date(l.excluded_until).getTime() > now) {
+    return { error: "Self-excluded", code: "self_excluded", until: new Date(l.excluded_until).toISOString() };
+  }
+  if (l.cooldown_until && new Date(l.cooldown_until).getTime() > now) {
+    return { error: "Cooling off", code: "cooldown", until: new Date(l.cooldown_until).toISOString() };
+  }
+
+  for (const w of PLAY_WINDOWS) {
+    const since = new Date(now - w.ms);
+
+    const depositLimit = numOrNull(l[`${w.name}_deposit_limit_sol`]);
+    if (depositSol > 0 && depositLimit !== null) {
+      // Balance- and credit-funded entries are wagers, not deposits; cancellations are not withdrawals.
+      const d = await query(
+        `SELECT COALESCE(SUM(amount_sol),0) AS s FROM payments
+         WHERE wallet=$1 AND created_at >= $2
+           AND signature NOT LIKE 'ge_balance:%' AND signature NOT LIKE 'ge_credit:%'
+           AND signature NOT LIKE 'ge_cancel:%'`,
+        [wallet, since]
+      );
+      const used = Number(d.rows[0]?.s || 0);
+      if (used + depositSol > depositLimit + 1e-9) {
+        return { error: `${w.name[0].toUpperCase()}${w.name.slice(1)} deposit limit reached`, code: `${w.name}_deposit_limit`, limit: depositLimit, used };
+      }
+    }
+
+    const entryLimit = numOrNull(l[`${w.name}_entry_limit`]);
+    if (entries > 0 && entryLimit !== null) {
+      const e = await query(
+        `SELECT COALESCE(SUM(qty),0) AS s FROM ge_entries WHERE wallet=$1 AND created_at >= $2`,
+        [wallet, since]
+      );
+      const used = Number(e.rows[0]?.s || 0);
+      if (used + entries > entryLimit) {
+        return { error: `${w.name[0].toUpperCase()}${w.name.slice(1)} entry limit reached`, code: `${w.name}_entry_limit`, limit: entryLimit, used };
+      }
+    }
+  }
+  return null;
+}
+
+app.get("/api/play-limits", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    const row = await getPlayLimits(wallet);
+    res.json({ ok: true, limits: playLimitsJson(row), loosen_delay_ms: PLAY_LIMIT_LOOSEN_DELAY_MS });
+  } catch (e) {
+    console.error("GET /api/play-limits error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body (all optional): the four limit fields (number, or null to remove), cooldown_hours,
+// self_exclusion_days.
+app.post("/api/play-limits", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    const body = req.body || {};
+
+    const requested = {};
+    for (const f of PLAY_LIMIT_FIELDS) {
+      if (!(f in body)) continue;
+      const v = body[f];
+      if (v === null || v === "") { requested[f] = null; continue; }
+      const n = Number(v);
+      const isEntry = f.endsWith("_entry_limit");
+      if (!Number.isFinite(n) || n < 0 || (isEntry && !Number.isInteger(n))) {
+        return res.status(400).json({ error: `Invalid ${f}` });
+      }
+      requested[f] = n;
+    }
+
+    let cooldownHours = null;
+    if (body.cooldown_hours !== undefined) {
+      cooldownHours = Number(body.cooldown_hours);
+      if (!Number.isFinite(cooldownHours) || cooldownHours <= 0 || cooldownHours > PLAY_COOLDOWN_MAX_HOURS) {
+        return res.status(400).json({ error: `cooldown_hours must be in (0, ${PLAY_COOLDOWN_MAX_HOURS}]` });
+      }
+    }
+    let exclusionDays = null;
+    if (body.self_exclusion_days !== undefined) {
+      exclusionDays = Number(body.self_exclusion_days);
+      if (!Number.isInteger(exclusionDays) || exclusionDays < PLAY_EXCLUSION_MIN_DAYS || exclusionDays > PLAY_EXCLUSION_MAX_DAYS) {
+        return res.status(400).json({
+          error: `self_exclusion_days must be an integer in [${PLAY_EXCLUSION_MIN_DAYS}, ${PLAY_EXCLUSION_MAX_DAYS}]`,
+        });
+      }
+    }
+
+    await query(`INSERT INTO play_limits (wallet) VALUES ($1) ON CONFLICT (wallet) DO NOTHING`, [wallet]);
+    const current = await getPlayLimits(wallet);
+
+    let pending = {};
+    try { pending = current?.pending_changes ? JSON.parse(current.pending_changes) || {} : {}; } catch {}
+    let pendingTouched = false;
+    const immediate = {};
+    for (const [f, next] of Object.entries(requested)) {
+      const cur = numOrNull(current?.[f]);
+      const looser = next === null ? cur !== null : cur !== null && next > cur;
+      if (looser) {
+        pending[f] = next;
+        pendingTouched = true;
+      } else {
+        // Tightening (or no-op) applies now and cancels any pending loosening of the same field.
+        immediate[f] = next;
+        if (f in pending) {
+          delete pending[f];
+          pendingTouched = true;
+        }
+      }
+    }
+
+    const now = Date.now();
+    const params = [wallet];
+    const sets = ["updated_at=NOW()"];
+    for (const [f, v] of Object.entries(immediate)) {
+      params.push(v);
+      sets.push(`${f}=$${params.length}`);
+    }
+    if (pendingTouched) {
+      const hasPending = Object.keys(pending).length > 0;
+      params.push(hasPending ? JSON.stringify(pending) : null);
+      sets.push(`pending_changes=$${params.length}`);
+      // Any new loosening restarts the delay.
+      params.push(hasPending ? new Date(now + PLAY_LIMIT_LOOSEN_DELAY_MS) : null);
+      sets.push(`pending_effective_at=$${params.length}`);
+    }
+    const extend = (col, untilMs) => {
+      const cur = current?.[col] ? new Date(current[col]).getTime() : 0;
+      if (untilMs <= cur) return;
+      params.push(new Date(untilMs));
+      sets.push(`${col}=$${params.length}`);
+    };
+    if (cooldownHours !== null) extend("cooldown_until", now + cooldownHours * 60 * 60 * 1000);
+    if (exclusionDays !== null) extend("excluded_until", now + exclusionDays * 24 * 60 * 60 * 1000);
+
+    await query(`UPDATE play_limits SET ${sets.join(", ")} WHERE wallet=$1`, params);
+    const row = await getPlayLimits(wallet);
+    res.json({ ok: true, limits: playLimitsJson(row), loosen_delay_ms: PLAY_LIMIT_LOOSEN_DELAY_MS });
+  } catch (e) {
+    console.error("POST /api/play-limits error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ===== Expeditions =====
 const EXPEDITION_DURATION_MS = 6 * 60 * 60 * 1000;
 
@@ -1338,6 +1712,9 @@ app.post("/api/spin", requireAuth, limitSpin, async (req, res) => {
 
   if (!wallet) return res.status(401).json({ error: "Unauthorized" });
 
+  const blocked = await checkPlayAllowed(wallet);
+  if (blocked) return res.status(403).json(blocked);
+
   // Require an egg credit for the selected eggType
   const col = eggColumn(eggType);
   if (!col) return res.status(400).json({ error: "Invalid eggType" });
@@ -1443,6 +1820,9 @@ app.post("/api/buy-egg", requireAuth, async (req, res) => {
     const lamports = usdToLamports({ usd: priceUsd, solUsd });
     const amountSol = lamportsToSol(lamports);
 
+    const blocked = await checkPlayAllowed(wallet, { depositSol: amountSol });
+    if (blocked) return res.status(403).json(blocked);
+
     // Save a short-lived intent so confirmation uses the exact quoted amount.
     const intentId = nanoid(24);
     const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
@@ -1718,6 +2098,43 @@ const PORT = process.env.PORT || 3000;
 const GE_SHIPS = 15;
 const GE_ADMIN_KEY = process.env.GE_ADMIN_KEY || "";
 const GE_TREASURY_WALLET = process.env.GE_TREASURY_WALLET || ADMIN_WALLET;
+const GE_TREASURY_SECRET_KEY = process.env.GE_TREASURY_SECRET_KEY || "";
+
+// Withdrawals of internal GE balances (paid on-chain from the treasury key)
+const GE_MIN_WITHDRAW_SOL = Number(process.env.GE_MIN_WITHDRAW_SOL || 0.01);
+const GE_WITHDRAW_INTENT_TTL_MS = 5 * 60 * 1000;
+// A 'sending' withdrawal without a persisted signature is only retried after this lease expires.
+const GE_WITHDRAW_LEASE_MS = Number(process.env.GE_WITHDRAW_LEASE_MS || 60_000);
+
+let _geTreasuryKeypair = null;
+function getGeTreasuryKeypair() {
+  if (_geTreasuryKeypair) return _geTreasuryKeypair;
+
+  // Fall back to the dev wallet when the treasury shares ADMIN_WALLET (default setup).
+  let kp;
+  if (GE_TREASURY_SECRET_KEY) {
+    const bytes = parseSecretKeyBytes(GE_TREASURY_SECRET_KEY);
+    if (!bytes || bytes.length < 32) {
+      throw new Error("Server misconfigured: GE_TREASURY_SECRET_KEY invalid");
+    }
+    kp = Keypair.fromSecretKey(bytes);
+  } else {
+    kp = getDevKeypair();
+  }
+
+  if (GE_TREASURY_WALLET) {
+    const expected = new PublicKey(GE_TREASURY_WALLET).toBase58();
+    const actual = kp.publicKey.toBase58();
+    if (expected !== actual) {
+      throw new Error(
+        `GE treasury key pubkey (${actual}) does not match GE_TREASURY_WALLET (${expected})`
+      );
+    }
+  }
+
+  _geTreasuryKeypair = kp;
+  return _geTreasuryKeypair;
+}
 
 const GE_GAME_MODES = ["roulette", "elimination", "race"]; // rotate per round
 function pickGameMode(nextRoundId) {
@@ -1745,6 +2162,158 @@ const GE_ENTRY_PRICE_SOL = Number(process.env.GE_ENTRY_PRICE_SOL || 0.1); // min
 const GE_WINNER_BPS = Number(process.env.GE_WINNER_BPS || 7000);
 const GE_PARTICIPATION_BPS = Number(process.env.GE_PARTICIPATION_BPS || 2500);
 const GE_TREASURY_BPS = Number(process.env.GE_TREASURY_BPS || 500);
+// Referral revenue share: bps of the treasury cut attributable to a referee's entries,
+// paid to their referrer's ge_balances instead of the treasury.
+const GE_REFERRAL_BPS = Math.max(0, Math.min(10000, Number(process.env.GE_REFERRAL_BPS || 1000)));
+// Progressive jackpot: bps of the treasury cut fed into the pool each round (after referral
+// shares), and the 1-in-N odds of the seed-derived trigger (0 = never triggers).
+const GE_JACKPOT_BPS = Math.max(0, Math.min(10000, Number(process.env.GE_JACKPOT_BPS || 2000)));
+const GE_JACKPOT_ODDS = Math.max(0, Math.floor(Number(process.env.GE_JACKPOT_ODDS || 500)));
+// Side bets: markets attached to every new table round (spec, see src/sidebets.js), stake bounds
+// per bet and the default cap on a market's total payout liability.
+const GE_SIDE_BET_MIN_SOL = Number(process.env.GE_SIDE_BET_MIN_SOL || 0.01);
+const GE_SIDE_BET_MAX_SOL = Number(process.env.GE_SIDE_BET_MAX_SOL || 5);
+const GE_SIDE_MARKET_MAX_LIABILITY_SOL = Number(process.env.GE_SIDE_MARKET_MAX_LIABILITY_SOL || 50);
+const GE_SIDE_BETTOR_ENTRY_ERROR = "Wallets betting on this round's markets can't enter it";
+const GE_SIDE_MARKETS = (() => {
+  try {
+    return parseMarketSpec(process.env.GE_SIDE_MARKETS || "");
+  } catch (e) {
+    console.warn("[ge] GE_SIDE_MARKETS ignored:", e.message);
+    return [];
+  }
+})();
+// Private rooms: cap on the host fee (bps of the pot) and on unsettled rooms per host.
+const GE_ROOM_MAX_HOST_FEE_BPS = Math.max(0, Math.min(5000, Number(process.env.GE_ROOM_MAX_HOST_FEE_BPS || 1000)));
+const GE_ROOM_MAX_OPEN_PER_HOST = Math.max(1, Number(process.env.GE_ROOM_MAX_OPEN_PER_HOST || 3));
+// Changing an entry before cutoff: cancel fee (bps withheld from the refund) and move fee
+// (bps of the moved entries' value, paid from ge_balances). Both go to the house.
+const GE_ENTRY_CANCEL_FEE_BPS = Math.max(0, Math.min(10000, Number(process.env.GE_ENTRY_CANCEL_FEE_BPS ?? 1000)));
+const GE_ENTRY_MOVE_FEE_BPS = Math.max(0, Math.min(10000, Number(process.env.GE_ENTRY_MOVE_FEE_BPS ?? 0)));
+// Entry credits: price of one credit; an entry costs ceil(round entry price / credit price) credits.
+const GE_CREDIT_PRICE_SOL = Number(process.env.GE_CREDIT_PRICE_SOL || GE_ENTRY_PRICE_SOL);
+const GE_MAX_CREDITS_PER_PURCHASE = 1000;
+
+function geCreditsPerEntry(cfg) {
+  return Math.max(1, Math.ceil(cfg.entryPriceSol / GE_CREDIT_PRICE_SOL - 1e-9));
+}
+// Elimination mode tiered rewards (bps of pot for survival ranks 2, 3, ...), carved out of the
+// winner pot. Empty = winner takes the whole winner pot. Snapshotted per round at creation.
+const GE_ELIMINATION_TIER_BPS = process.env.GE_ELIMINATION_TIER_BPS || "";
+// Race mode: number of checkpoints (lap splits) in the seed-derived race timeline.
+const GE_RACE_CHECKPOINTS = Math.max(2, Math.min(50, Number(process.env.GE_RACE_CHECKPOINTS || 10)));
+
+function parseTierBps(value) {
+  return String(value || "")
+    .split(",")
+    .map((x) => Number(x.trim()))
+    .filter((x) => Number.isInteger(x) && x > 0);
+}
+
+// Env defaults, used when no template is stored in ge_round_templates (and for legacy rounds).
+function geEnvTemplate() {
+  return {
+    id: null,
+    name: "env-default",
+    ships_count: GE_SHIPS,
+    entry_price_sol: GE_ENTRY_PRICE_SOL,
+    winner_bps: GE_WINNER_BPS,
+    participation_bps: GE_PARTICIPATION_BPS,
+    treasury_bps: GE_TREASURY_BPS,
+    entry_cutoff_ms: Number(process.env.GE_ENTRY_CUTOFF_MS || 15000),
+    duration_minutes: Number(process.env.GE_ROUND_MINUTES || 10),
+  };
+}
+
+// Each round snapshots its template at creation; rounds created before templates existed
+// have NULL columns and fall back to the env defaults.
+function geRoundConfig(round) {
+  const d = geEnvTemplate();
+  const num = (v, fallback) => (v === null || v === undefined ? fallback : Number(v));
+  return {
+    shipsCount: num(round?.ships_count, d.ships_count),
+    entryPriceSol: num(round?.entry_price_sol, d.entry_price_sol),
+    winnerBps: num(round?.winner_bps, d.winner_bps),
+    participationBps: num(round?.participation_bps, d.participation_bps),
+    treasuryBps: num(round?.treasury_bps, d.treasury_bps),
+    entryCutoffMs: num(round?.entry_cutoff_ms, d.entry_cutoff_ms),
+    durationMinutes: num(round?.duration_minutes, d.duration_minutes),
+  };
+}
+
+function geConfigJson(cfg) {
+  return {
+    ships: cfg.shipsCount,
+    round_minutes: cfg.durationMinutes,
+    entry_price_sol: cfg.entryPriceSol,
+    entry_cutoff_ms: cfg.entryCutoffMs,
+    winner_bps: cfg.winnerBps,
+    participation_bps: cfg.participationBps,
+    treasury_bps: cfg.treasuryBps,
+  };
+}
+
+// Template by id, else the active default template, else env defaults.
+async function getRoundTemplate(templateId) {
+  const r = templateId
+    ? await query(`SELECT * FROM ge_round_templates WHERE id=$1 AND active=TRUE`, [templateId])
+    : await query(`SELECT * FROM ge_round_templates WHERE is_default=TRUE AND active=TRUE ORDER BY id DESC LIMIT 1`);
+  if (r.rowCount > 0) return r.rows[0];
+  if (templateId) return null;
+  return geEnvTemplate();
+}
+
+// Validate template fields. With partial=true only provided fields are checked/returned.
+function parseRoundTemplateInput(body, { partial = false } = {}) {
+  const out = {};
+  const has = (k) => body[k] !== undefined && body[k] !== null;
+  const intIn = (k, min, max) => {
+    if (!has(k)) return partial ? undefined : `${k} required`;
+    const v = Number(body[k]);
+    if (!Number.isInteger(v) || v < min || v > max) return `${k} must be an integer in [${min}, ${max}]`;
+    out[k] = v;
+  };
+
+  if (has("name")) {
+    const name = String(body.name).trim();
+    if (!name || name.length > 64) return { error: "name must be 1-64 chars" };
+    out.name = name;
+  } else if (!partial) {
+    return { error: "name required" };
+  }
+
+  const errs = [
+    intIn("ships_count", 2, ALIEN_COUNT),
+    intIn("winner_bps", 0, 10000),
+    intIn("participation_bps", 0, 10000),
+    intIn("treasury_bps", 0, 10000),
+    intIn("entry_cutoff_ms", 0, 60 * 60 * 1000),
+    intIn("duration_minutes", 1, 24 * 60),
+  ].filter(Boolean);
+  if (errs.length) return { error: errs[0] };
+
+  if (has("entry_price_sol")) {
+    const v = Number(body.entry_price_sol);
+    if (!Number.isFinite(v) || v <= 0 || v > 1000) return { error: "entry_price_sol must be in (0, 1000]" };
+    out.entry_price_sol = v;
+  } else if (!partial) {
+    return { error: "entry_price_sol required" };
+  }
+
+  if (has("is_default")) out.is_default = !!body.is_default;
+  if (has("active")) out.active = !!body.active;
+  return { values: out };
+}
+
+function validateRoundTemplate(t) {
+  if (Number(t.winner_bps) + Number(t.participation_bps) + Number(t.treasury_bps) !== 10000) {
+    return "winner_bps + participation_bps + treasury_bps must equal 10000";
+  }
+  if (Number(t.entry_cutoff_ms) >= Number(t.duration_minutes) * 60 * 1000) {
+    return "entry_cutoff_ms must be shorter than the round duration";
+  }
+  return null;
+}
 
 function requireAdmin(req, res, next) {
   if (!GE_ADMIN_KEY) return res.status(500).json({ error: "Server misconfigured (GE_ADMIN_KEY missing)" });
@@ -1753,120 +2322,421 @@ function requireAdmin(req, res, next) {
   return next();
 }
 
-async function getCurrentRound() {
+// ===== GE tables =====
+// Parallel stake levels (e.g. 0.01 / 0.1 / 1 SOL entry). Each table has its own round sequence,
+// built from its template; rounds are scoped by ge_rounds.table_key. Round-scoped routes take
+// `table` (query or body, default 'main'); balances, credits and leaderboards are per wallet.
+const GE_DEFAULT_TABLE = "main";
+// Private rooms live under this key; it is never a ge_tables row, so rooms are only reachable
+// through their invite code (see /api/v2/ge/rooms).
+const GE_PRIVATE_TABLE = "private";
+const GE_TABLE_KEY_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+async function getGeTable(tableKey) {
+  const r = await query(`SELECT * FROM ge_tables WHERE table_key=$1`, [tableKey]);
+  return r.rows[0] || null;
+}
+
+// Middleware: resolves `table` into req.geTable (404 for unknown tables).
+async function resolveGeTable(req, res, next) {
+  try {
+    const key = String(req.query?.table || req.body?.table || GE_DEFAULT_TABLE).trim().toLowerCase();
+    const table = GE_TABLE_KEY_RE.test(key) ? await getGeTable(key) : null;
+    if (!table) return res.status(404).json({ error: "Unknown table" });
+    req.geTable = table;
+    return next();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+}
+
+async function getRoomByCode(code) {
+  const c = normalizeReferralCode(code);
+  if (!c) return null;
+  const r = await query(`SELECT * FROM ge_rounds WHERE invite_code=$1 AND table_key=$2`, [c, GE_PRIVATE_TABLE]);
+  return r.rows[0] || null;
+}
+
+// Round-data routes take a bare round id; a private room's round is only visible to whoever
+// passes its `invite_code`, otherwise it answers like an unknown round (404).
+function canSeeRound(req, round) {
+  if (round.table_key !== GE_PRIVATE_TABLE) return true;
+  const code = normalizeReferralCode(req.query?.invite_code);
+  return !!code && code === round.invite_code;
+}
+
+// Round an entry request targets: the private room named by `invite_code`, else the table's
+// current round.
+async function getEntryRound(req) {
+  const code = req.body?.invite_code || req.query?.invite_code;
+  if (code) return getRoomByCode(code);
+  return getCurrentRound(req.geTable.table_key);
+}
+
+async function getCurrentRound(tableKey = GE_DEFAULT_TABLE) {
   // Include 'settled' so the frontend can see the result and animate.
   const r = await query(
-    `SELECT * FROM ge_rounds WHERE status IN ('filling','running','settled') ORDER BY id DESC LIMIT 1`
+    `SELECT * FROM ge_rounds
+     WHERE table_key=$1 AND status IN ('filling','running','settled')
+     ORDER BY id DESC LIMIT 1`,
+    [tableKey]
   );
   return r.rows[0] || null;
 }
 
-async function getRoundStats(roundId) {
+// Simulator bots ('bot-N' wallets, ge_entries.is_bot) show up in the live ship totals so rounds
+// look alive, but they hold no tickets in the draw (see geDrawPerShip), never pay, are never paid
+// and are reported apart from real players.
+const GE_BOT_WALLET_PREFIX = "bot-";
+
+function isGeBotWallet(wallet) {
+  return typeof wallet === "string" && wallet.startsWith(GE_BOT_WALLET_PREFIX);
+}
+
+// qty per ship counts every entry (bots included: it is what clients display); bot_qty / botEntries
+// break out the simulator's share and realEntries is what players actually paid for.
+// Tickets in the draw: real entries only, so bots never dilute real players' odds and the
+// winning ship always has a paid entrant when anyone paid at all.
+function geDrawPerShip(stats) {
+  return stats.perShip.map((x) => ({ ship_index: x.ship_index, qty: x.qty - x.bot_qty }));
+}
+
+async function getRoundStats(roundId, shipsCount = GE_SHIPS) {
   const totals = await query(
-    `SELECT ship_index, COALESCE(SUM(qty),0) AS qty
+    `SELECT ship_index, COALESCE(SUM(qty),0) AS qty,
+            COALESCE(SUM(CASE WHEN is_bot THEN qty ELSE 0 END),0) AS bot_qty
      FROM ge_entries WHERE round_id=$1
      GROUP BY ship_index
      ORDER BY ship_index`,
     [roundId]
   );
-  const perShip = Array.from({ length: GE_SHIPS }).map((_, i) => ({ ship_index: i, qty: 0 }));
+  const perShip = Array.from({ length: shipsCount }).map((_, i) => ({ ship_index: i, qty: 0, bot_qty: 0 }));
   for (const row of totals.rows) {
     const idx = Number(row.ship_index);
-    if (idx >= 0 && idx < GE_SHIPS) perShip[idx].qty = Number(row.qty);
+    if (idx >= 0 && idx < shipsCount) {
+      perShip[idx].qty = Number(row.qty);
+      perShip[idx].bot_qty = Number(row.bot_qty);
+    }
   }
   const totalEntries = perShip.reduce((a, b) => a + b.qty, 0);
-  return { perShip, totalEntries };
+  const botEntries = perShip.reduce((a, b) => a + b.bot_qty, 0);
+  return { perShip, totalEntries, botEntries, realEntries: totalEntries - botEntries };
 }
 
-app.get("/api/v2/ge/round/current", async (_req, res) => {
-  // Ensure a current round exists
-  let round = await getCurrentRound();
-
-  // If the last round is settled for a bit, automatically start a new one.
-  if (round?.status === "settled") {
-    const settledAt = round.settled_at ? new Date(round.settled_at).getTime() : 0;
-
-    // Keep settled rounds longer for animation-heavy modes so mobile can finish.
-    const mode = round.game_mode || "roulette";
-    const keepMs =
-      mode === "elimination" ? 12000 :
-      mode === "race" ? 8000 :
-      Number(process.env.GE_SHOW_RESULT_MS || 6000);
+// SOL the real entries of a round were paid with. Credit-funded entries count at the SOL value
+// of their credits (ticket_sol), so the pot matches what actually came in.
+async function getRoundPotSol(roundId, cfg) {
+  const r = await query(
+    `SELECT COALESCE(SUM(qty * COALESCE(ticket_sol, $2)),0) AS s
+     FROM ge_entries WHERE round_id=$1 AND NOT is_bot`,
+    [roundId, cfg.entryPriceSol]
+  );
+  return Number(r.rows[0]?.s || 0);
+}
 
-    if (settledAt && Date.now() - settledAt > keepMs) {
-      round = null;
+// Distinct participants / entries per round, real players and bots apart.
+async function getGeParticipantCounts(minRoundId, maxRoundId) {
+  const r = await query(
+    `SELECT round_id, is_bot, COUNT(DISTINCT wallet) AS participants, COALESCE(SUM(qty),0) AS entries
+     FROM ge_entries
+     WHERE round_id BETWEEN $1 AND $2
+     GROUP BY round_id, is_bot`,
+    [minRoundId, maxRoundId]
+  );
+  const counts = new Map();
+  for (const row of r.rows) {
+    const id = Number(row.round_id);
+    const c = counts.get(id) || { participants: 0, entries: 0, bot_participants: 0, bot_entries: 0 };
+    if (row.is_bot) {
+      c.bot_participants = Number(row.participants);
+      c.bot_entries = Number(row.entries);
+    } else {
+      c.participants = Number(row.participants);
+      c.entries = Number(row.entries);
     }
+    counts.set(id, c);
   }
+  return counts;
+}
 
-  if (!round) {
-    const DURATION_MINUTES = Number(process.env.GE_ROUND_MINUTES || 10);
-    const endsAt = new Date(Date.now() + DURATION_MINUTES * 60 * 1000);
+// ===== GE live feed (Server-Sent Events) =====
+// Event bus: write paths publish, /api/v2/ge/stream fans out to connected clients.
+// With real Postgres, events go through NOTIFY so every instance's clients see them
+// (only the scheduler leader emits lifecycle events). pg-mem falls back to in-process delivery.
+const geBus = new EventEmitter();
+geBus.setMaxListeners(0);
+const GE_EVENTS_CHANNEL = "ge_events";
+let geBusRemote = false;
+
+function publishGe(type, data) {
+  const evt = { type, data, ts: Date.now() };
+  if (!geBusRemote) {
+    geBus.emit("event", evt);
+    return;
+  }
+  notify(GE_EVENTS_CHANNEL, JSON.stringify(evt)).catch((e) => {
+    console.warn("[ge] notify failed, delivering locally", e?.message || e);
+    geBus.emit("event", evt);
+  });
+}
 
-    const secret = crypto.randomBytes(32).toString("hex");
-    const commit = crypto.createHash("sha256").update(secret).digest("hex");
+async function startGeEventBus() {
+  geBusRemote = await listen(GE_EVENTS_CHANNEL, (payload) => {
+    try {
+      geBus.emit("event", JSON.parse(payload));
+    } catch (_) {}
+  });
+}
 
-    const aliens = genUniqueAlienIds(GE_SHIPS);
+function geRoundJson(round) {
+  return {
+    id: round.id,
+    table: round.table_key || GE_DEFAULT_TABLE,
+    status: round.status,
+    starts_at: round.starts_at,
+    started_at: round.started_at,
+    ends_at: round.ends_at,
+    ships_count: round.ships_count,
+    emissions_total: Number(round.emissions_total || 0),
+    winning_ship_index: round.winning_ship_index ?? null,
+    seed_commit: round.seed_commit ?? null,
+    alien_ids: (() => {
+      try { return round.alien_ids ? JSON.parse(round.alien_ids) : null; } catch { return null; }
+    })(),
+    game_mode: round.game_mode || "roulette",
+    // seed is only meaningful after settle; still included for audit
+    seed: round.seed ?? null,
+    // elimination mode: ship indices, first eliminated first, winner last (set at settlement)
+    elimination_order: (() => {
+      try { return round.elimination_order ? JSON.parse(round.elimination_order) : null; } catch { return null; }
+    })(),
+    // race mode: per-ship positions at each checkpoint, winner finishes first (set at settlement)
+    race_timeline: (() => {
+      try { return round.race_timeline ? JSON.parse(round.race_timeline) : null; } catch { return null; }
+    })(),
+    // Merkle root over all entries, committed at entry cutoff (see /api/v2/ge/round/:id/proof)
+    entries_root: round.entries_root ?? null,
+    entries_root_at: round.entries_root_at ?? null,
+    // private rooms only
+    host_wallet: round.host_wallet ?? null,
+    host_fee_bps: round.host_fee_bps ?? null,
+  };
+}
 
-    const r = await query(
-      `INSERT INTO ge_rounds (status, ends_at, ships_count, emissions_total, started_at, seed_commit, seed_reveal, alien_ids, game_mode)
-       VALUES ('running', $1, $2, 0, NOW(), $3, $4, $5, NULL)
+// Create a running round on a table from a template (the table's template, else the default).
+// durationMinutes overrides the template's duration (admin create-round).
+// Private rooms pass their own `template` and `room` ({ hostWallet, inviteCode, hostFeeBps }).
+async function createRound({ table, template, templateId, durationMinutes, room } = {}) {
+  const tableKey = room ? GE_PRIVATE_TABLE : table?.table_key || GE_DEFAULT_TABLE;
+  const tpl = template || await getRoundTemplate(templateId || table?.template_id);
+  if (!tpl) throw new Error("Round template not found");
+
+  const shipsCount = Number(tpl.ships_count);
+  const minutes = Number(durationMinutes || tpl.duration_minutes);
+  const endsAt = new Date(Date.now() + minutes * 60 * 1000);
+  const { secret, commit } = newRoundSecret();
+  const aliens = genUniqueAlienIds(shipsCount);
+
+  // The round, its mode/room config and its markets appear together or not at all.
+  const round = await withTransaction(async (tx) => {
+    const r = await tx(
+      `INSERT INTO ge_rounds (status, ends_at, ships_count, emissions_total, started_at, seed_commit, seed_reveal, alien_ids, game_mode,
+                              template_id, entry_price_sol, winner_bps, participation_bps, treasury_bps, entry_cutoff_ms, duration_minutes,
+                              table_key)
+       VALUES ('running', $1, $2, 0, NOW(), $3, $4, $5, NULL, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING *`,
-      [endsAt, GE_SHIPS, commit, secret, JSON.stringify(aliens)]
+      [
+        endsAt,
+        shipsCount,
+        commit,
+        secret,
+        JSON.stringify(aliens),
+        tpl.id,
+        Number(tpl.entry_price_sol),
+        Number(tpl.winner_bps),
+        Number(tpl.participation_bps),
+        Number(tpl.treasury_bps),
+        Number(tpl.entry_cutoff_ms),
+        minutes,
+        tableKey,
+      ]
     );
     const created = r.rows[0];
     const mode = pickGameMode(created.id);
-    await query(`UPDATE ge_rounds SET game_mode=$2 WHERE id=$1`, [created.id, mode]);
-    round = { ...created, game_mode: mode };
+    const tierBps = mode === "elimination" ? parseTierBps(GE_ELIMINATION_TIER_BPS).join(",") || null : null;
+    const upd = await tx(
+      `UPDATE ge_rounds SET game_mode=$2, elimination_tier_bps=$3, host_wallet=$4, invite_code=$5, host_fee_bps=$6
+       WHERE id=$1
+       RETURNING *`,
+      [created.id, mode, tierBps, room?.hostWallet || null, room?.inviteCode || null, room ? room.hostFeeBps : null]
+    );
+    if (!room) await createSideMarkets(upd.rows[0], GE_SIDE_MARKETS);
+    return upd.rows[0];
+  });
+
+  publishGe("round_created", { table: tableKey, round: geRoundJson(round) });
+  return round;
+}
+
+// Read-only: round lifecycle is owned by the scheduler (see startGreatExpeditionScheduler).
+app.get("/api/v2/ge/round/current", resolveGeTable, async (req, res) => {
+  try {
+    const table = req.geTable.table_key;
+    const round = await getCurrentRound(table);
+    const cfg = geRoundConfig(round);
+    const config = geConfigJson(cfg);
+    if (!round) return res.json({ ok: true, table, round: null, stats: null, config, jackpot: await getJackpotJson(table) });
+
+    const stats = await getRoundStats(round.id, cfg.shipsCount);
+    return res.json({
+      ok: true,
+      table,
+      round: geRoundJson(round),
+      stats,
+      config,
+      jackpot: await getJackpotJson(table),
+      side_markets: (await getRoundSideMarkets(round.id)).map(geSideMarketJson),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Tables players can join, with their stakes and what is happening on each right now.
+app.get("/api/v2/ge/tables", async (_req, res) => {
+  try {
+    const r = await query(`SELECT * FROM ge_tables WHERE active=TRUE ORDER BY sort_order, table_key`);
+    const tables = [];
+    for (const t of r.rows) {
+      const round = await getCurrentRound(t.table_key);
+      const cfg = round ? geRoundConfig(round) : geRoundConfig(await getRoundTemplate(t.template_id));
+      tables.push({
+        table: t.table_key,
+        name: t.name,
+        config: geConfigJson(cfg),
+        round: round ? { id: round.id, status: round.status, game_mode: round.game_mode || "roulette", ends_at: round.ends_at } : null,
+        jackpot_pool_sol: (await getJackpotJson(t.table_key)).pool_sol,
+      });
+    }
+    res.json({ ok: true, tables });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+const GE_STREAM_HEARTBEAT_MS = 15_000;
+const geStreamClients = new Map();
+
+// Clients are keyed by response -> { table, roundId }; a room subscriber (roundId set) only
+// gets its own room's events. Table-less events go to everyone.
+geBus.on("event", ({ type, data, ts }) => {
+  const frame = `event: ${type}\ndata: ${JSON.stringify({ ...data, ts })}\n\n`;
+  for (const [client, sub] of geStreamClients) {
+    if (data?.table && data.table !== sub.table) continue;
+    if (sub.roundId && (data?.round_id ?? data?.round?.id) !== sub.roundId) continue;
+    client.write(frame);
   }
+});
 
-  // Auto-settle when ended (dev-friendly). This makes the UI announce results
-  // without needing an admin call.
-  if (round.status === "running" && round.started_at && Date.now() >= new Date(round.ends_at).getTime()) {
+// Live round feed. Events: snapshot, entry, stats, cutoff, settled, round_created.
+// `invite_code` subscribes to that private room instead of a table.
+app.get("/api/v2/ge/stream", resolveGeTable, async (req, res) => {
+  let sub = { table: req.geTable.table_key, roundId: null };
+  let room = null;
+  if (req.query?.invite_code) {
     try {
-      await settleRound(round);
+      room = await getRoomByCode(req.query.invite_code);
     } catch (e) {
-      // ignore settle errors; client can retry on next poll
-      console.warn("[ge] auto-settle failed", e?.message || e);
+      return res.status(500).json({ error: e.message });
     }
-    // reload round state after settlement attempt
-    round = await getCurrentRound();
+    if (!room) return res.status(404).json({ error: "Room not found" });
+    sub = { table: GE_PRIVATE_TABLE, roundId: room.id };
   }
+  const table = sub.table;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable proxy buffering (nginx / Railway edge) so events are delivered immediately.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: 3000\n\n`);
 
-  const stats = await getRoundStats(round.id);
-  return res.json({
-    ok: true,
-    round: {
-      id: round.id,
-      status: round.status,
-      starts_at: round.starts_at,
-      started_at: round.started_at,
-      ends_at: round.ends_at,
-      ships_count: round.ships_count,
-      emissions_total: Number(round.emissions_total || 0),
-      winning_ship_index: round.winning_ship_index ?? null,
-      seed_commit: round.seed_commit ?? null,
-      alien_ids: (() => {
-        try { return round.alien_ids ? JSON.parse(round.alien_ids) : null; } catch { return null; }
-      })(),
-      game_mode: round.game_mode || "roulette",
-      // seed is only meaningful after settle; still included for audit
-      seed: round.seed ?? null,
-    },
-    stats,
-    config: {
-      ships: GE_SHIPS,
-      round_minutes: Number(process.env.GE_ROUND_MINUTES || 10),
-      entry_price_sol: GE_ENTRY_PRICE_SOL,
-      winner_bps: GE_WINNER_BPS,
-      participation_bps: GE_PARTICIPATION_BPS,
-      treasury_bps: GE_TREASURY_BPS,
-    },
+  geStreamClients.set(res, sub);
+
+  const heartbeat = setInterval(() => res.write(`: ping\n\n`), GE_STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    geStreamClients.delete(res);
   });
+
+  try {
+    const round = room || (await getCurrentRound(table));
+    const stats = round ? await getRoundStats(round.id, geRoundConfig(round).shipsCount) : null;
+    const snapshot = { table, round: round ? geRoundJson(round) : null, stats, ts: Date.now() };
+    res.write(`event: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  } catch (e) {
+    console.warn("[ge] stream snapshot failed", e?.message || e);
+  }
 });
 
-app.get("/api/v2/ge/me", requireAuth, async (req, res) => {
+// Publish new entries (one event per ship) plus refreshed per-ship totals to stream listeners.
+function publishGeEntry({ table, roundId, wallet, entries, stats }) {
+  for (const e of entries) {
+    publishGe("entry", { table, round_id: roundId, wallet, ship_index: e.ship_index, qty: e.qty });
+  }
+  publishGe("stats", { table, round_id: roundId, stats });
+}
+
+// Parse a ship selection: either `entries: [{ ship_index, qty }, ...]` or the single
+// `ship_index` + `qty` form. Duplicate ships are merged; qty is clamped to 1..100 per ship.
+function parseGeEntrySelections(body, shipsCount) {
+  const raw = Array.isArray(body?.entries)
+    ? body.entries
+    : [{ ship_index: body?.ship_index, qty: body?.qty }];
+  if (raw.length === 0 || raw.length > shipsCount) return { error: "Invalid entries" };
+
+  const byShip = new Map();
+  for (const e of raw) {
+    const shipIndex = Number(e?.ship_index);
+    if (!Number.isInteger(shipIndex) || shipIndex < 0 || shipIndex >= shipsCount) {
+      return { error: "Invalid ship_index" };
+    }
+    const qty = Math.max(1, Math.min(100, Number(e?.qty || 1)));
+    if (!Number.isInteger(qty)) return { error: "Invalid qty" };
+    byShip.set(shipIndex, Math.min(100, (byShip.get(shipIndex) || 0) + qty));
+  }
+
+  const entries = [...byShip.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([ship_index, qty]) => ({ ship_index, qty }));
+  return { entries, totalQty: entries.reduce((a, e) => a + e.qty, 0) };
+}
+
+// Intent kind for paid entries: ge_entry:<roundId>:<ship>:<qty>[:<ship>:<qty>...]
+// (the single-ship form is the original 4-part kind).
+function geEntryIntentKind(roundId, entries) {
+  return ["ge_entry", roundId, ...entries.flatMap((e) => [e.ship_index, e.qty])].join(":");
+}
+
+function parseGeEntryIntentKind(kind) {
+  const parts = String(kind || "").split(":");
+  if (parts[0] !== "ge_entry" || parts.length < 4 || parts.length % 2 !== 0) return null;
+  const roundId = Number(parts[1]);
+  const entries = [];
+  for (let i = 2; i < parts.length; i += 2) {
+    entries.push({ ship_index: Number(parts[i]), qty: Number(parts[i + 1]) });
+  }
+  if (!Number.isInteger(roundId) || entries.some((e) => !Number.isInteger(e.ship_index) || !Number.isInteger(e.qty))) {
+    return null;
+  }
+  return { roundId, entries };
+}
+
+app.get("/api/v2/ge/me", requireAuth, resolveGeTable, async (req, res) => {
   const wallet = req.auth?.wallet;
-  const round = await getCurrentRound();
+  const round = await getEntryRound(req);
   if (!round) return res.json({ ok: true, round: null, my: null });
 
   const mine = await query(
@@ -1877,12 +2747,160 @@ app.get("/api/v2/ge/me", requireAuth, async (req, res) => {
      ORDER BY ship_index`,
     [round.id, wallet]
   );
+  // Individual rows, so the client can cancel or move one (POST /api/v2/ge/entries/:id/...).
+  const rows = await query(
+    `SELECT id, ship_index, qty, created_at FROM ge_entries
+     WHERE round_id=$1 AND wallet=$2
+     ORDER BY id`,
+    [round.id, wallet]
+  );
 
-  return res.json({ ok: true, round_id: round.id, my: mine.rows.map(r => ({ ship_index: Number(r.ship_index), qty: Number(r.qty) })) });
-});
-
-// Build a SOL transfer tx for boarding (devnet). Frontend signs & submits.
-app.post("/api/v2/ge/buy-entry", geEnterLimiter, requireAuth, async (req, res) => {
+  return res.json({
+    ok: true,
+    round_id: round.id,
+    my: mine.rows.map(r => ({ ship_index: Number(r.ship_index), qty: Number(r.qty) })),
+    entries: rows.rows.map((r) => ({ id: r.id, ship_index: Number(r.ship_index), qty: Number(r.qty), created_at: r.created_at })),
+  });
+});
+
+// Per-wallet GE history: SOL spent (paid entries), SOL won (payouts), refunds and net PnL per round,
+// plus lifetime totals. Cursor is the last round id of the previous page.
+app.get("/api/v2/ge/me/history", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    if (cursor !== null && (!Number.isInteger(cursor) || cursor <= 0)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+
+    const page = cursor !== null
+      ? await query(
+        `SELECT DISTINCT round_id FROM ge_entries
+         WHERE wallet=$1 AND round_id < $2
+         ORDER BY round_id DESC LIMIT $3`,
+        [wallet, cursor, limit]
+      )
+      : await query(
+        `SELECT DISTINCT round_id FROM ge_entries
+         WHERE wallet=$1
+         ORDER BY round_id DESC LIMIT $2`,
+        [wallet, limit]
+      );
+    const roundIds = page.rows.map((r) => Number(r.round_id));
+
+    // Spend is keyed by payments.kind = 'ge_entry:<roundId>'; grouped per round it stays small.
+    const spentRes = await query(
+      `SELECT kind, COALESCE(SUM(amount_sol),0) AS spent
+       FROM payments
+       WHERE wallet=$1 AND kind LIKE 'ge_entry:%'
+       GROUP BY kind`,
+      [wallet]
+    );
+    const spentByRound = new Map();
+    for (const row of spentRes.rows) {
+      const roundId = Number(String(row.kind).split(":")[1]);
+      if (!Number.isInteger(roundId)) continue;
+      spentByRound.set(roundId, (spentByRound.get(roundId) || 0) + Number(row.spent));
+    }
+
+    const wonRes = await query(
+      `SELECT round_id, COALESCE(SUM(amount),0) AS won
+       FROM ge_payouts
+       WHERE wallet=$1
+       GROUP BY round_id`,
+      [wallet]
+    );
+    const wonByRound = new Map(wonRes.rows.map((r) => [Number(r.round_id), Number(r.won)]));
+
+    const refundRes = await query(
+      `SELECT round_id, COALESCE(SUM(amount + credits * $2),0) AS refunded
+       FROM ge_refunds
+       WHERE wallet=$1
+       GROUP BY round_id`,
+      [wallet, GE_CREDIT_PRICE_SOL]
+    );
+    const refundedByRound = new Map(refundRes.rows.map((r) => [Number(r.round_id), Number(r.refunded)]));
+
+    const rounds = [];
+    if (roundIds.length > 0) {
+      const minId = roundIds[roundIds.length - 1];
+      const maxId = roundIds[0];
+
+      const roundRes = await query(
+        `SELECT id, table_key, status, game_mode, winning_ship_index, settled_at
+         FROM ge_rounds WHERE id BETWEEN $1 AND $2`,
+        [minId, maxId]
+      );
+      const roundById = new Map(roundRes.rows.map((r) => [Number(r.id), r]));
+
+      const shipsRes = await query(
+        `SELECT round_id, ship_index, COALESCE(SUM(qty),0) AS qty
+         FROM ge_entries
+         WHERE wallet=$1 AND round_id BETWEEN $2 AND $3
+         GROUP BY round_id, ship_index
+         ORDER BY round_id, ship_index`,
+        [wallet, minId, maxId]
+      );
+      const shipsByRound = new Map();
+      for (const row of shipsRes.rows) {
+        const id = Number(row.round_id);
+        if (!shipsByRound.has(id)) shipsByRound.set(id, []);
+        shipsByRound.get(id).push({ ship_index: Number(row.ship_index), qty: Number(row.qty) });
+      }
+
+      for (const id of roundIds) {
+        const round = roundById.get(id);
+        const ships = shipsByRound.get(id) || [];
+        const spent = spentByRound.get(id) || 0;
+        const won = wonByRound.get(id) || 0;
+        const refunded = refundedByRound.get(id) || 0;
+        rounds.push({
+          round_id: id,
+          table: round?.table_key || null,
+          status: round?.status || null,
+          game_mode: round?.game_mode || "roulette",
+          winning_ship_index: round?.winning_ship_index ?? null,
+          settled_at: round?.settled_at || null,
+          ships,
+          entries: ships.reduce((a, b) => a + b.qty, 0),
+          sol_spent: spent,
+          sol_won: won,
+          sol_refunded: refunded,
+          net_sol: won + refunded - spent,
+        });
+      }
+    }
+
+    const played = await query(
+      `SELECT COUNT(DISTINCT round_id) AS c FROM ge_entries WHERE wallet=$1`,
+      [wallet]
+    );
+    const totalSpent = [...spentByRound.values()].reduce((a, b) => a + b, 0);
+    const totalWon = [...wonByRound.values()].reduce((a, b) => a + b, 0);
+    const totalRefunded = [...refundedByRound.values()].reduce((a, b) => a + b, 0);
+
+    res.json({
+      ok: true,
+      wallet,
+      rounds,
+      next_cursor: roundIds.length === limit ? roundIds[roundIds.length - 1] : null,
+      lifetime: {
+        rounds_played: Number(played.rows[0]?.c || 0),
+        sol_spent: totalSpent,
+        sol_won: totalWon,
+        sol_refunded: totalRefunded,
+        net_sol: totalWon + totalRefunded - totalSpent,
+      },
+    });
+  } catch (e) {
+    console.error("GET /api/v2/ge/me/history error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Build a SOL transfer tx for boarding (devnet). Frontend signs & submits.
+app.post("/api/v2/ge/buy-entry", geEnterLimiter, requireAuth, resolveGeTable, async (req, res) => {
   try {
     const wallet = req.auth?.wallet;
     if (!wallet) return res.status(401).json({ error: "Unauthorized" });
@@ -1891,31 +2909,33 @@ app.post("/api/v2/ge/buy-entry", geEnterLimiter, requireAuth, async (req, res) =
       return res.status(500).json({ error: "Server misconfigured (GE_TREASURY_WALLET missing)" });
     }
 
-    const round = await getCurrentRound();
+    const round = await getEntryRound(req);
     if (!round || round.status !== "running") return res.status(400).json({ error: "No running round" });
+    const cfg = geRoundConfig(round);
 
-    const shipIndex = Number(req.body?.ship_index);
-    const qty = Math.max(1, Math.min(100, Number(req.body?.qty || 1)));
-    if (!Number.isInteger(shipIndex) || shipIndex < 0 || shipIndex >= GE_SHIPS) {
-      return res.status(400).json({ error: "Invalid ship_index" });
-    }
+    const sel = parseGeEntrySelections(req.body, cfg.shipsCount);
+    if (sel.error) return res.status(400).json({ error: sel.error });
 
     const now = new Date();
-    const cutoffMs = Number(process.env.GE_ENTRY_CUTOFF_MS || 15000);
-    if (round.started_at && now.getTime() > new Date(round.ends_at).getTime() - cutoffMs) {
+    if (round.started_at && now.getTime() > new Date(round.ends_at).getTime() - cfg.entryCutoffMs) {
       return res.status(400).json({ error: "Round entry closed" });
     }
 
-    const lamports = Math.round(qty * GE_ENTRY_PRICE_SOL * 1_000_000_000);
+    // One combined quote for all selected ships.
+    const lamports = Math.round(sel.totalQty * cfg.entryPriceSol * 1_000_000_000);
     if (!Number.isFinite(lamports) || lamports <= 0) return res.status(400).json({ error: "Invalid amount" });
 
-    // Intent binds: round_id + ship_index + qty + lamports.
+    const blocked = await checkPlayAllowed(wallet, { depositSol: lamportsToSol(lamports), entries: sel.totalQty });
+    if (blocked) return res.status(403).json(blocked);
+    if (await hasRoundSideBets(round.id, wallet)) return res.status(409).json({ error: GE_SIDE_BETTOR_ENTRY_ERROR });
+
+    // Intent binds: round_id + every (ship_index, qty) pair + lamports.
     const intentId = nanoid(24);
     const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
     await query(
       `INSERT INTO payment_intents (id, wallet, kind, price_usd, sol_usd, lamports, expires_at)
        VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [intentId, wallet, `ge_entry:${round.id}:${shipIndex}:${qty}`, 0, 0, String(lamports), expiresAt]
+      [intentId, wallet, geEntryIntentKind(round.id, sel.entries), 0, 0, String(lamports), expiresAt]
     );
 
     const tx = await buildTransferTx({
@@ -1936,9 +2956,12 @@ app.post("/api/v2/ge/buy-entry", geEnterLimiter, requireAuth, async (req, res) =
       lamports,
       amountSol: lamportsToSol(lamports),
       to: GE_TREASURY_WALLET,
+      table: round.table_key,
       round_id: round.id,
-      ship_index: shipIndex,
-      qty,
+      entries: sel.entries,
+      // single-ship fields kept for existing clients
+      ship_index: sel.entries[0].ship_index,
+      qty: sel.totalQty,
       expiresAt: expiresAt.toISOString(),
     });
   } catch (e) {
@@ -1965,13 +2988,11 @@ app.post("/api/v2/ge/confirm-entry", geEnterLimiter, requireAuth, async (req, re
     if (row.wallet !== wallet) return res.status(403).json({ error: "intent wallet mismatch" });
     if (new Date(row.expires_at).getTime() < Date.now()) return res.status(410).json({ error: "intent expired" });
 
-    const parts = String(row.kind || "").split(":");
-    // kind: ge_entry:roundId:shipIndex:qty
-    if (parts.length !== 4 || parts[0] !== "ge_entry") return res.status(400).json({ error: "intent kind mismatch" });
+    // kind: ge_entry:roundId:shipIndex:qty[:shipIndex:qty...]
+    const parsedKind = parseGeEntryIntentKind(row.kind);
+    if (!parsedKind) return res.status(400).json({ error: "intent kind mismatch" });
 
-    const roundId = Number(parts[1]);
-    const shipIndex = Number(parts[2]);
-    const qty = Number(parts[3]);
+    const { roundId, entries } = parsedKind;
     const minLamports = Number(row.lamports);
 
     // Prevent replay
@@ -1990,220 +3011,2128 @@ app.post("/api/v2/ge/confirm-entry", geEnterLimiter, requireAuth, async (req, re
 
     if (!verify.ok) return res.status(400).json({ error: "invalid payment", detail: verify });
 
-    // Check round is still running
-    const round = await query(`SELECT * FROM ge_rounds WHERE id=$1`, [roundId]);
-    const r = round.rows[0];
-    if (!r || r.status !== "running") return res.status(400).json({ error: "round not running" });
-
-    const cutoffMs = Number(process.env.GE_ENTRY_CUTOFF_MS || 15000);
-    if (Date.now() > new Date(r.ends_at).getTime() - cutoffMs) {
-      return res.status(400).json({ error: "Round entry closed" });
-    }
+    // Limits may have been tightened (or a break started) since the quote.
+    const blocked = await checkPlayAllowed(wallet, {
+      depositSol: lamportsToSol(minLamports),
+      entries: entries.reduce((a, e) => a + e.qty, 0),
+    });
 
-    await query("BEGIN");
-    try {
-      await query(
+    await query(`INSERT INTO users (wallet) VALUES ($1) ON CONFLICT (wallet) DO NOTHING`, [wallet]);
+
+    // The SOL is already paid: whatever refuses the entries (limits, round gone or past its cutoff,
+    // entries root committed, wallet bet on the round's markets), the intent is consumed and the
+    // amount parked in ge_balances (withdrawable) instead.
+    let r = null;
+    const refused = await withTransaction(async (tx) => {
+      const rr = await tx(`SELECT * FROM ge_rounds WHERE id=$1`, [roundId]);
+      r = rr.rows[0] || null;
+      let refusal = null;
+      if (blocked) {
+        refusal = { status: 403, ...blocked };
+      } else if (!r || r.status !== "running") {
+        refusal = { status: 400, error: "round not running", code: "round_not_running" };
+      } else if (
+        Date.now() > new Date(r.ends_at).getTime() - geRoundConfig(r).entryCutoffMs ||
+        !(await lockRoundForEntries(roundId))
+      ) {
+        refusal = { status: 400, error: "Round entry closed", code: "round_entry_closed" };
+      } else if (await hasRoundSideBets(roundId, wallet)) {
+        refusal = { status: 409, error: GE_SIDE_BETTOR_ENTRY_ERROR, code: "side_bettor" };
+      }
+      const amountSol = lamportsToSol(minLamports);
+      await tx(
         `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
          VALUES ($1, $2, $3, $4, $5)`,
         [
           signature,
           wallet,
-          `ge_entry:${roundId}`,
-          lamportsToSol(minLamports),
-          JSON.stringify({ intentId, roundId, shipIndex, qty, lamports: minLamports }),
+          refusal ? `ge_limit_credit:${roundId}` : `ge_entry:${roundId}`,
+          amountSol,
+          JSON.stringify({ intentId, roundId, entries, lamports: minLamports, ...(refusal && { blocked: refusal.code }) }),
         ]
       );
 
       // Intent is single-use
-      await query(`DELETE FROM payment_intents WHERE id=$1`, [intentId]);
+      await tx(`DELETE FROM payment_intents WHERE id=$1`, [intentId]);
 
-      await query(
-        `INSERT INTO ge_entries (round_id, wallet, ship_index, qty)
-         VALUES ($1,$2,$3,$4)`,
-        [roundId, wallet, shipIndex, qty]
-      );
+      if (refusal) {
+        await tx(
+          `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+           ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+          [wallet, amountSol]
+        );
+        return { ...refusal, credited_sol: amountSol };
+      }
 
-      await query("COMMIT");
-    } catch (e) {
-      await query("ROLLBACK");
-      throw e;
+      // All ships from the one verified signature land together (or not at all).
+      const ticketSol = amountSol / entries.reduce((a, e) => a + e.qty, 0);
+      for (const e of entries) {
+        await tx(
+          `INSERT INTO ge_entries (round_id, wallet, ship_index, qty, payment_signature, ticket_sol)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [roundId, wallet, e.ship_index, e.qty, signature, ticketSol]
+        );
+      }
+      return null;
+    });
+    if (refused) {
+      const { status, ...body } = refused;
+      return res.status(status).json(body);
     }
 
-    const stats = await getRoundStats(roundId);
-    return res.json({ ok: true, round_id: roundId, stats });
+    const stats = await getRoundStats(roundId, geRoundConfig(r).shipsCount);
+    publishGeEntry({ table: r.table_key, roundId, wallet, entries, stats });
+    return res.json({ ok: true, table: r.table_key, round_id: roundId, entries, stats });
   } catch (e) {
     console.error("POST /api/v2/ge/confirm-entry error", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/v2/ge/enter", geEnterLimiter, requireAuth, async (req, res) => {
+// Enter using internal ge_balances winnings instead of an on-chain transfer.
+// Recorded in payments (signature 'ge_balance:<id>', metadata.source='balance') so history,
+// refunds and accounting treat it exactly like a paid entry.
+app.post("/api/v2/ge/enter-from-balance", geEnterLimiter, requireAuth, resolveGeTable, async (req, res) => {
   try {
     const wallet = req.auth?.wallet;
-    const round = await getCurrentRound();
-    if (!round) return res.status(400).json({ error: "No open round" });
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
 
-    const now = new Date();
-    // If round is running, enforce end time with a small cutoff to avoid last-millisecond sniping.
-    const cutoffMs = Number(process.env.GE_ENTRY_CUTOFF_MS || 15000);
-    if (round.started_at && now.getTime() > new Date(round.ends_at).getTime() - cutoffMs) {
-      return res.status(400).json({ error: "Round entry closed" });
-    }
+    const round = await getEntryRound(req);
+    if (!round || round.status !== "running") return res.status(400).json({ error: "No running round" });
+    const cfg = geRoundConfig(round);
 
-    const shipIndex = Number(req.body?.ship_index);
-    const qty = Math.max(1, Math.min(100, Number(req.body?.qty || 1)));
-    if (!Number.isInteger(shipIndex) || shipIndex < 0 || shipIndex >= GE_SHIPS) {
-      return res.status(400).json({ error: "Invalid ship_index" });
-    }
+    const sel = parseGeEntrySelections(req.body, cfg.shipsCount);
+    if (sel.error) return res.status(400).json({ error: sel.error });
+    const entries = sel.entries;
+
+    const lamports = Math.round(sel.totalQty * cfg.entryPriceSol * 1_000_000_000);
+    if (!Number.isFinite(lamports) || lamports <= 0) return res.status(400).json({ error: "Invalid amount" });
+    const costSol = lamportsToSol(lamports);
+
+    const blocked = await checkPlayAllowed(wallet, { entries: sel.totalQty });
+    if (blocked) return res.status(403).json(blocked);
 
-    // MVP: free entries. Later: require buying credits / on-chain.
     await query(
-      `INSERT INTO ge_entries (round_id, wallet, ship_index, qty)
-       VALUES ($1,$2,$3,$4)`,
-      [round.id, wallet, shipIndex, qty]
+      `INSERT INTO users (wallet)
+       VALUES ($1)
+       ON CONFLICT (wallet) DO NOTHING`,
+      [wallet]
     );
 
-    const stats = await getRoundStats(round.id);
+    let balance;
+    const out = await withTransaction(async (tx) => {
+      // Same checks as confirm-entry, re-read inside the transaction.
+      const rr = await tx(`SELECT status, ends_at FROM ge_rounds WHERE id=$1`, [round.id]);
+      const r = rr.rows[0];
+      if (!r || r.status !== "running") {
+        await tx.rollback();
+        return { status: 400, body: { error: "round not running" } };
+      }
+      if (Date.now() > new Date(r.ends_at).getTime() - cfg.entryCutoffMs) {
+        await tx.rollback();
+        return { status: 400, body: { error: "Round entry closed" } };
+      }
+      if (!(await lockRoundForEntries(round.id))) {
+        await tx.rollback();
+        return { status: 400, body: { error: "Round entry closed" } };
+      }
+      if (await hasRoundSideBets(round.id, wallet)) {
+        await tx.rollback();
+        return { status: 409, body: { error: GE_SIDE_BETTOR_ENTRY_ERROR } };
+      }
 
-    // Note: rounds are created as running in dev; no auto-start needed here.
+      const debit = await tx(
+        `UPDATE ge_balances
+         SET balance = balance - $2, updated_at=NOW()
+         WHERE wallet=$1 AND balance >= $2
+         RETURNING balance`,
+        [wallet, costSol]
+      );
+      if (debit.rowCount === 0) {
+        await tx.rollback();
+        return { status: 402, body: { error: "Insufficient balance", cost_sol: costSol } };
+      }
+      balance = Number(debit.rows[0].balance);
 
-    // Enforce state: once running ends, no more entries.
-    // (We keep it strict to prevent last-millisecond sniping.)
-    const updated = await getCurrentRound();
-    if (updated?.id === round.id && updated.started_at && Date.now() > new Date(updated.ends_at).getTime()) {
-      return res.status(400).json({ error: "Round already ended" });
-    }
+      const signature = `ge_balance:${nanoid(24)}`;
+      await tx(
+        `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          signature,
+          wallet,
+          `ge_entry:${round.id}`,
+          costSol,
+          JSON.stringify({ source: "balance", roundId: round.id, entries, lamports }),
+        ]
+      );
+
+      const ticketSol = costSol / entries.reduce((a, e) => a + e.qty, 0);
+      for (const e of entries) {
+        await tx(
+          `INSERT INTO ge_entries (round_id, wallet, ship_index, qty, payment_signature, ticket_sol)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [round.id, wallet, e.ship_index, e.qty, signature, ticketSol]
+        );
+      }
+    });
+    if (out) return res.status(out.status).json(out.body);
 
-    return res.json({ ok: true, round_id: round.id, stats });
+    const stats = await getRoundStats(round.id, cfg.shipsCount);
+    publishGeEntry({ table: round.table_key, roundId: round.id, wallet, entries, stats });
+    return res.json({ ok: true, table: round.table_key, round_id: round.id, entries, cost_sol: costSol, balance, stats });
   } catch (e) {
-    console.error("POST /api/v2/ge/enter error", e);
+    console.error("POST /api/v2/ge/enter-from-balance error", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/api/v2/ge/admin/create-round", requireAdmin, async (req, res) => {
+// ===== Entry credits =====
+// Credits are bought through the usual payment intent flow and spent by /api/v2/ge/enter.
+// A credit-funded entry is also recorded in payments (signature 'ge_credit:<id>', valued at
+// GE_CREDIT_PRICE_SOL) so history, refunds and accounting treat it like a paid entry.
+async function getUserCredits(wallet) {
+  const r = await query(`SELECT credits FROM user_credits WHERE wallet=$1`, [wallet]);
+  return Number(r.rows[0]?.credits || 0);
+}
+
+app.get("/api/v2/ge/credits", requireAuth, async (req, res) => {
   try {
-    const durationMinutes = Math.max(1, Math.min(24 * 60, Number(req.body?.duration_minutes || 1)));
-    const endsAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
 
-    // Close any existing open round
-    await query(`UPDATE ge_rounds SET status='closed' WHERE status IN ('open','running','filling')`);
+    const ledger = await query(
+      `SELECT delta, reason, ref, created_at FROM credit_ledger
+       WHERE wallet=$1 ORDER BY id DESC LIMIT $2`,
+      [wallet, limit]
+    );
+    res.json({
+      ok: true,
+      credits: await getUserCredits(wallet),
+      credit_price_sol: GE_CREDIT_PRICE_SOL,
+      ledger: ledger.rows.map((x) => ({
+        delta: Number(x.delta),
+        reason: x.reason,
+        ref: x.ref,
+        created_at: x.created_at,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const secret = crypto.randomBytes(32).toString("hex");
-    const commit = crypto.createHash("sha256").update(secret).digest("hex");
+app.post("/api/v2/ge/buy-credits", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
 
-    // Create a new running round immediately (dev-friendly)
-    const aliens = genUniqueAlienIds(GE_SHIPS);
+    if (!GE_TREASURY_WALLET) {
+      return res.status(500).json({ error: "Server misconfigured (GE_TREASURY_WALLET missing)" });
+    }
 
-    const r = await query(
-      `INSERT INTO ge_rounds (status, ends_at, ships_count, emissions_total, started_at, seed_commit, seed_reveal, alien_ids, game_mode)
-       VALUES ('running', $1, $2, 0, NOW(), $3, $4, $5, NULL)
-       RETURNING *`,
-      [endsAt, GE_SHIPS, commit, secret, JSON.stringify(aliens)]
+    const credits = Number(req.body?.credits);
+    if (!Number.isInteger(credits) || credits < 1 || credits > GE_MAX_CREDITS_PER_PURCHASE) {
+      return res.status(400).json({ error: `credits must be an integer in [1, ${GE_MAX_CREDITS_PER_PURCHASE}]` });
+    }
+
+    const lamports = Math.round(credits * GE_CREDIT_PRICE_SOL * 1_000_000_000);
+    if (!Number.isFinite(lamports) || lamports <= 0) return res.status(400).json({ error: "Invalid amount" });
+
+    const blocked = await checkPlayAllowed(wallet, { depositSol: lamportsToSol(lamports) });
+    if (blocked) return res.status(403).json(blocked);
+
+    const intentId = nanoid(24);
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    await query(
+      `INSERT INTO payment_intents (id, wallet, kind, price_usd, sol_usd, lamports, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [intentId, wallet, `ge_credits:${credits}`, 0, 0, String(lamports), expiresAt]
     );
 
-    const created = r.rows[0];
-    const mode = pickGameMode(created.id);
-    await query(`UPDATE ge_rounds SET game_mode=$2 WHERE id=$1`, [created.id, mode]);
+    const tx = await buildTransferTx({
+      rpcUrl: RPC_URL,
+      fromPubkey: wallet,
+      toPubkey: GE_TREASURY_WALLET,
+      lamports,
+    });
+
+    const serialized = Buffer.from(
+      tx.serialize({ requireAllSignatures: false, verifySignatures: false })
+    ).toString("base64");
 
-    return res.json({ ok: true, round: { ...created, game_mode: mode } });
+    return res.json({
+      ok: true,
+      intentId,
+      serialized,
+      lamports,
+      amountSol: lamportsToSol(lamports),
+      to: GE_TREASURY_WALLET,
+      credits,
+      expiresAt: expiresAt.toISOString(),
+    });
   } catch (e) {
-    console.error("POST /api/v2/ge/admin/create-round error", e);
+    console.error("POST /api/v2/ge/buy-credits error", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
-async function settleRound(round) {
-  const now = new Date();
+app.post("/api/v2/ge/confirm-credits", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    const { signature, intentId } = req.body || {};
+    if (!wallet || !signature || !intentId) return res.status(400).json({ error: "missing fields" });
 
-  if (!round.started_at || round.status !== "running") {
-    return { ok: false, error: "Round not running" };
-  }
+    const intent = await query(
+      `SELECT id, wallet, kind, lamports, expires_at
+       FROM payment_intents
+       WHERE id = $1`,
+      [intentId]
+    );
+    if (intent.rowCount === 0) return res.status(400).json({ error: "invalid intent" });
 
-  const endsAt = new Date(round.ends_at);
-  if (now.getTime() < endsAt.getTime()) {
-    return { ok: false, error: "Round not ended yet" };
-  }
+    const row = intent.rows[0];
+    if (row.wallet !== wallet) return res.status(403).json({ error: "intent wallet mismatch" });
+    if (new Date(row.expires_at).getTime() < Date.now()) return res.status(410).json({ error: "intent expired" });
 
-  const stats = await getRoundStats(round.id);
-  // Commit–reveal style seed: round has a secret (seed_reveal) stored server-side.
-  // We never expose seed_reveal; clients may see seed_commit for audit.
-  const secret = round.seed_reveal || crypto.randomBytes(32).toString("hex");
-  const seed = crypto
-    .createHash("sha256")
-    .update(`${secret}:${round.id}:${endsAt.toISOString()}:${stats.totalEntries}`)
-    .digest("hex");
+    const m = /^ge_credits:(\d+)$/.exec(String(row.kind));
+    if (!m) return res.status(400).json({ error: "intent kind mismatch" });
+    const credits = Number(m[1]);
+    const minLamports = Number(row.lamports);
 
-  // Winner selection: weighted by entries (tickets), not by ship.
-  // This makes P(win ship i) proportional to entries on that ship.
-  let winningShip = 0;
-  if (stats.totalEntries > 0) {
-    const ticket = parseInt(seed.slice(0, 12), 16) % stats.totalEntries;
-    let acc = 0;
-    for (let i = 0; i < GE_SHIPS; i++) {
-      acc += Number(stats.perShip[i]?.qty || 0);
-      if (ticket < acc) {
-        winningShip = i;
-        break;
-      }
+    // Prevent replay
+    const already = await query(`SELECT signature FROM payments WHERE signature=$1`, [signature]);
+    if (already.rowCount > 0) {
+      return res.status(409).json({ error: "payment already processed" });
     }
-  }
 
-  const potSol = Number(stats.totalEntries) * GE_ENTRY_PRICE_SOL;
-  const emissionsTotal = potSol;
+    const verify = await verifySolPayment({
+      rpcUrl: RPC_URL,
+      signature,
+      expectedFrom: wallet,
+      expectedTo: GE_TREASURY_WALLET,
+      minLamports,
+    });
 
-  const treasuryCut = (potSol * GE_TREASURY_BPS) / 10000;
-  const winnerPot = (potSol * GE_WINNER_BPS) / 10000;
-  const participationPot = (potSol * GE_PARTICIPATION_BPS) / 10000;
+    if (!verify.ok) return res.status(400).json({ error: "invalid payment", detail: verify });
 
-  // Winners are wallets that picked winningShip; split pro-rata by qty on that ship.
-  const winners = await query(
-    `SELECT wallet, COALESCE(SUM(qty),0) AS qty
-     FROM ge_entries
-     WHERE round_id=$1 AND ship_index=$2
-     GROUP BY wallet`,
-    [round.id, winningShip]
-  );
-  const winTotalQty = winners.rows.reduce((a, r) => a + Number(r.qty), 0);
+    await query(
+      `INSERT INTO users (wallet)
+       VALUES ($1)
+       ON CONFLICT (wallet) DO NOTHING`,
+      [wallet]
+    );
 
-  // Participation: all wallets split pro-rata by total entries (across all ships).
-  const participants = await query(
-    `SELECT wallet, COALESCE(SUM(qty),0) AS qty
-     FROM ge_entries
-     WHERE round_id=$1
-     GROUP BY wallet`,
-    [round.id]
-  );
-  const partTotalQty = participants.rows.reduce((a, r) => a + Number(r.qty), 0);
+    let balance;
+    await withTransaction(async (tx) => {
+      await tx(
+        `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          signature,
+          wallet,
+          row.kind,
+          lamportsToSol(minLamports),
+          JSON.stringify({ intentId, credits, lamports: minLamports }),
+        ]
+      );
+
+      // Intent is single-use
+      await tx(`DELETE FROM payment_intents WHERE id=$1`, [intentId]);
+
+      await tx(
+        `INSERT INTO credit_ledger (wallet, delta, reason, ref) VALUES ($1,$2,'purchase',$3)`,
+        [wallet, credits, signature]
+      );
+      const up = await tx(
+        `INSERT INTO user_credits (wallet, credits) VALUES ($1,$2)
+         ON CONFLICT (wallet) DO UPDATE SET credits = user_credits.credits + EXCLUDED.credits, updated_at=NOW()
+         RETURNING credits`,
+        [wallet, credits]
+      );
+      balance = Number(up.rows[0]?.credits || 0);
+    });
+
+    return res.json({ ok: true, credited: credits, credits: balance, signature });
+  } catch (e) {
+    console.error("POST /api/v2/ge/confirm-credits error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
 
-  await query("BEGIN");
+// Enter by spending entry credits (no longer free).
+app.post("/api/v2/ge/enter", geEnterLimiter, requireAuth, resolveGeTable, async (req, res) => {
   try {
-    // Idempotency: only the first settler succeeds.
-    const upd = await query(
-      `UPDATE ge_rounds
-       SET status='settled',
-           settled_at=NOW(),
-           winning_ship_index=$2,
-           emissions_total=$3,
-           seed=$4,
-           seed_commit=COALESCE(seed_commit, $5),
-           seed_reveal=COALESCE(seed_reveal, $6)
-       WHERE id=$1 AND status='running'
-       RETURNING id`,
-      [round.id, winningShip, emissionsTotal, seed, crypto.createHash("sha256").update(secret).digest("hex"), secret]
-    );
+    const wallet = req.auth?.wallet;
+    const round = await getEntryRound(req);
+    if (!round || round.status !== "running") return res.status(400).json({ error: "No open round" });
+    const cfg = geRoundConfig(round);
 
-    if (upd.rowCount === 0) {
-      await query("ROLLBACK");
-      return { ok: true, already_settled: true, round_id: round.id };
+    const now = new Date();
+    // Enforce end time with a small cutoff to avoid last-millisecond sniping.
+    if (round.started_at && now.getTime() > new Date(round.ends_at).getTime() - cfg.entryCutoffMs) {
+      return res.status(400).json({ error: "Round entry closed" });
     }
 
-    // Treasury balance
-    if (treasuryCut > 0) {
-      await query(
+    const shipIndex = Number(req.body?.ship_index);
+    const qty = Math.max(1, Math.min(100, Number(req.body?.qty || 1)));
+    if (!Number.isInteger(shipIndex) || shipIndex < 0 || shipIndex >= cfg.shipsCount) {
+      return res.status(400).json({ error: "Invalid ship_index" });
+    }
+
+    const blocked = await checkPlayAllowed(wallet, { entries: qty });
+    if (blocked) return res.status(403).json(blocked);
+
+    const cost = qty * geCreditsPerEntry(cfg);
+    const entries = [{ ship_index: shipIndex, qty }];
+
+    await query(
+      `INSERT INTO users (wallet)
+       VALUES ($1)
+       ON CONFLICT (wallet) DO NOTHING`,
+      [wallet]
+    );
+
+    let credits;
+    const out = await withTransaction(async (tx) => {
+      // Same checks as confirm-entry, re-read inside the transaction.
+      const rr = await tx(`SELECT status, ends_at FROM ge_rounds WHERE id=$1`, [round.id]);
+      const r = rr.rows[0];
+      if (!r || r.status !== "running") {
+        await tx.rollback();
+        return { status: 400, body: { error: "round not running" } };
+      }
+      if (Date.now() > new Date(r.ends_at).getTime() - cfg.entryCutoffMs) {
+        await tx.rollback();
+        return { status: 400, body: { error: "Round entry closed" } };
+      }
+      if (!(await lockRoundForEntries(round.id))) {
+        await tx.rollback();
+        return { status: 400, body: { error: "Round entry closed" } };
+      }
+      if (await hasRoundSideBets(round.id, wallet)) {
+        await tx.rollback();
+        return { status: 409, body: { error: GE_SIDE_BETTOR_ENTRY_ERROR } };
+      }
+
+      const debit = await tx(
+        `UPDATE user_credits
+         SET credits = credits - $2::int, updated_at=NOW()
+         WHERE wallet=$1 AND credits >= $2::int
+         RETURNING credits`,
+        [wallet, cost]
+      );
+      if (debit.rowCount === 0) {
+        await tx.rollback();
+        return { status: 402, body: { error: "Insufficient credits", cost_credits: cost } };
+      }
+      credits = Number(debit.rows[0].credits);
+
+      const signature = `ge_credit:${nanoid(24)}`;
+      await tx(
+        `INSERT INTO credit_ledger (wallet, delta, reason, ref) VALUES ($1,$2,'entry',$3)`,
+        [wallet, -cost, signature]
+      );
+      await tx(
+        `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          signature,
+          wallet,
+          `ge_entry:${round.id}`,
+          cost * GE_CREDIT_PRICE_SOL,
+          JSON.stringify({ source: "credits", roundId: round.id, entries, credits: cost }),
+        ]
+      );
+      await tx(
+        `INSERT INTO ge_entries (round_id, wallet, ship_index, qty, payment_signature, ticket_sol, ticket_credits)
+         VALUES ($1,$2,$3,$4,$5,$6,$7::int)`,
+        [round.id, wallet, shipIndex, qty, signature, (cost * GE_CREDIT_PRICE_SOL) / qty, cost / qty]
+      );
+    });
+    if (out) return res.status(out.status).json(out.body);
+
+    const stats = await getRoundStats(round.id, cfg.shipsCount);
+    publishGeEntry({ table: round.table_key, roundId: round.id, wallet, entries, stats });
+    return res.json({ ok: true, table: round.table_key, round_id: round.id, cost_credits: cost, credits, stats });
+  } catch (e) {
+    console.error("POST /api/v2/ge/enter error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ===== Entry changes (cancel / move before cutoff) =====
+// An entry row stays changeable until the round's entry cutoff. Cancelling deletes the row (or
+// part of its qty) and refunds what it was paid with, minus GE_ENTRY_CANCEL_FEE_BPS: SOL to
+// ge_balances, credits to user_credits. A negative ge_entry:<roundId> payment (signature
+// 'ge_cancel:...') nets the refund out of the wallet's spend. Moving re-points the qty at another
+// ship for GE_ENTRY_MOVE_FEE_BPS, paid from ge_balances (from user_credits for credit-funded
+// entries). getRoundStats and the cutoff Merkle root
+// read ge_entries, so both see the change; every change is logged in ge_entry_changes.
+
+// Loads (and row-locks) the caller's entry and checks the round is still open. Runs inside the
+// caller's transaction. Returns { entry, round, cfg, qty } or { status, error }.
+async function loadChangeableEntry(entryId, wallet, rawQty) {
+  const e = await query(`SELECT * FROM ge_entries WHERE id=$1 AND wallet=$2 FOR UPDATE`, [entryId, wallet]);
+  const entry = e.rows[0];
+  if (!entry) return { status: 404, error: "Entry not found" };
+
+  const r = await query(`SELECT * FROM ge_rounds WHERE id=$1`, [entry.round_id]);
+  const round = r.rows[0];
+  if (!round || round.status !== "running") return { status: 400, error: "round not running" };
+  const cfg = geRoundConfig(round);
+  if (Date.now() > new Date(round.ends_at).getTime() - cfg.entryCutoffMs || !(await lockRoundForEntries(round.id))) {
+    return { status: 400, error: "Round entry closed" };
+  }
+
+  const qty = rawQty === undefined || rawQty === null ? Number(entry.qty) : Number(rawQty);
+  if (!Number.isInteger(qty) || qty < 1 || qty > Number(entry.qty)) {
+    return { status: 400, error: `qty must be in [1, ${Number(entry.qty)}]` };
+  }
+  return { entry, round, cfg, qty };
+}
+
+// Take qty off an entry row, deleting it when nothing is left. The guard on qty makes a
+// concurrent change of the same row fail here instead of paying out twice; returns false then.
+async function reduceEntry(entry, qty) {
+  const r = await query(
+    `UPDATE ge_entries SET qty = qty - $2::int
+     WHERE id=$1 AND wallet=$3 AND qty >= $2::int
+     RETURNING qty`,
+    [entry.id, qty, entry.wallet]
+  );
+  if (r.rowCount === 0) return false;
+  if (Number(r.rows[0].qty) === 0) await query(`DELETE FROM ge_entries WHERE id=$1`, [entry.id]);
+  return true;
+}
+
+// What one ticket of an entry was paid with: ticket_credits > 0 for credit-funded entries,
+// SOL otherwise (rows from before the funding columns are valued at the round's entry price).
+function geEntryFunding(entry, cfg) {
+  const ticketCredits = Number(entry.ticket_credits || 0);
+  const ticketSol = entry.ticket_sol === null || entry.ticket_sol === undefined ? cfg.entryPriceSol : Number(entry.ticket_sol);
+  return { ticketSol, ticketCredits };
+}
+
+async function creditUserCredits(wallet, credits, reason, ref) {
+  await query(
+    `INSERT INTO user_credits (wallet, credits) VALUES ($1,$2::int)
+     ON CONFLICT (wallet) DO UPDATE SET credits = user_credits.credits + EXCLUDED.credits, updated_at=NOW()`,
+    [wallet, credits]
+  );
+  await query(`INSERT INTO credit_ledger (wallet, delta, reason, ref) VALUES ($1,$2,$3,$4)`, [wallet, credits, reason, ref]);
+}
+
+async function creditGeBalance(wallet, amount) {
+  await query(
+    `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+     ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+    [wallet, amount]
+  );
+}
+
+// Body: { qty? } (default: the whole entry)
+app.post("/api/v2/ge/entries/:id/cancel", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    const entryId = Number(req.params.id);
+    if (!Number.isInteger(entryId) || entryId <= 0) return res.status(400).json({ error: "Invalid entry id" });
+
+    const out = await withTransaction(async (tx) => {
+      const chk = await loadChangeableEntry(entryId, wallet, req.body?.qty);
+      if (chk.error) {
+        await tx.rollback();
+        return { status: chk.status, error: chk.error };
+      }
+      const { entry, round, cfg, qty } = chk;
+
+      // Refund in what paid for the entry: credits go back to user_credits (the fee is kept
+      // in credits, rounded in the house's favour), SOL to ge_balances.
+      const { ticketSol, ticketCredits } = geEntryFunding(entry, cfg);
+      let fee = 0;
+      let refund = 0;
+      let feeCredits = 0;
+      let refundCredits = 0;
+      if (ticketCredits > 0) {
+        const credits = qty * ticketCredits;
+        refundCredits = Math.floor((credits * (10000 - GE_ENTRY_CANCEL_FEE_BPS)) / 10000);
+        feeCredits = credits - refundCredits;
+      } else {
+        const value = qty * ticketSol;
+        fee = (value * GE_ENTRY_CANCEL_FEE_BPS) / 10000;
+        refund = value - fee;
+      }
+
+      if (!(await reduceEntry(entry, qty))) {
+        await tx.rollback();
+        return { status: 409, error: "Entry changed, try again" };
+      }
+      if (refund > 0 || refundCredits > 0) {
+        const signature = `ge_cancel:${nanoid(24)}`;
+        if (refundCredits > 0) await creditUserCredits(wallet, refundCredits, "entry_cancel", signature);
+        else await creditGeBalance(wallet, refund);
+        await tx(
+          `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            signature,
+            wallet,
+            `ge_entry:${round.id}`,
+            refundCredits > 0 ? -(refundCredits * GE_CREDIT_PRICE_SOL) : -refund,
+            JSON.stringify({
+              source: "cancel",
+              roundId: round.id,
+              entryId,
+              qty,
+              ...(refundCredits > 0 && { credits: refundCredits }),
+            }),
+          ]
+        );
+      }
+      if (fee > 0) await creditGeBalance("__treasury__", fee);
+      await tx(
+        `INSERT INTO ge_entry_changes (round_id, entry_id, wallet, action, qty, from_ship, fee_sol, refund_sol, fee_credits, refund_credits)
+         VALUES ($1,$2,$3,'cancel',$4,$5,$6,$7,$8::int,$9::int)`,
+        [round.id, entryId, wallet, qty, entry.ship_index, fee, refund, feeCredits, refundCredits]
+      );
+
+      return { round, cfg, qty, fee, refund, feeCredits, refundCredits, shipIndex: Number(entry.ship_index) };
+    });
+    if (out.error) return res.status(out.status).json({ error: out.error });
+
+    const stats = await getRoundStats(out.round.id, out.cfg.shipsCount);
+    publishGe("entry_cancelled", {
+      table: out.round.table_key,
+      round_id: out.round.id,
+      wallet,
+      ship_index: out.shipIndex,
+      qty: out.qty,
+    });
+    publishGe("stats", { table: out.round.table_key, round_id: out.round.id, stats });
+    return res.json({
+      ok: true,
+      round_id: out.round.id,
+      qty: out.qty,
+      fee_sol: out.fee,
+      refund_sol: out.refund,
+      fee_credits: out.feeCredits,
+      refund_credits: out.refundCredits,
+      stats,
+    });
+  } catch (e) {
+    console.error("POST /api/v2/ge/entries/:id/cancel error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { ship_index, qty? } (default: the whole entry)
+app.post("/api/v2/ge/entries/:id/move", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    const entryId = Number(req.params.id);
+    if (!Number.isInteger(entryId) || entryId <= 0) return res.status(400).json({ error: "Invalid entry id" });
+    const toShip = Number(req.body?.ship_index);
+
+    const out = await withTransaction(async (tx) => {
+      const chk = await loadChangeableEntry(entryId, wallet, req.body?.qty);
+      if (chk.error) {
+        await tx.rollback();
+        return { status: chk.status, error: chk.error };
+      }
+      const { entry, round, cfg, qty } = chk;
+      if (!Number.isInteger(toShip) || toShip < 0 || toShip >= cfg.shipsCount) {
+        await tx.rollback();
+        return { status: 400, error: "Invalid ship_index" };
+      }
+      if (toShip === Number(entry.ship_index)) {
+        await tx.rollback();
+        return { status: 400, error: "Entry is already on that ship" };
+      }
+
+      // The fee is paid in the entry's own currency: credits for credit-funded entries.
+      const { ticketSol, ticketCredits } = geEntryFunding(entry, cfg);
+      const fee = ticketCredits > 0 ? 0 : (qty * ticketSol * GE_ENTRY_MOVE_FEE_BPS) / 10000;
+      const feeCredits = ticketCredits > 0 ? Math.ceil((qty * ticketCredits * GE_ENTRY_MOVE_FEE_BPS) / 10000) : 0;
+      let balance = null;
+      let credits = null;
+      if (feeCredits > 0) {
+        const debit = await tx(
+          `UPDATE user_credits
+           SET credits = credits - $2::int, updated_at=NOW()
+           WHERE wallet=$1 AND credits >= $2::int
+           RETURNING credits`,
+          [wallet, feeCredits]
+        );
+        if (debit.rowCount === 0) {
+          await tx.rollback();
+          return { status: 402, error: "Insufficient credits", fee_credits: feeCredits };
+        }
+        credits = Number(debit.rows[0].credits);
+        await tx(
+          `INSERT INTO credit_ledger (wallet, delta, reason, ref) VALUES ($1,$2,'entry_move',$3)`,
+          [wallet, -feeCredits, `ge_move:${entry.id}`]
+        );
+      }
+      if (fee > 0) {
+        const debit = await tx(
+          `UPDATE ge_balances
+           SET balance = balance - $2, updated_at=NOW()
+           WHERE wallet=$1 AND balance >= $2
+           RETURNING balance`,
+          [wallet, fee]
+        );
+        if (debit.rowCount === 0) {
+          await tx.rollback();
+          return { status: 402, error: "Insufficient balance", fee_sol: fee };
+        }
+        balance = Number(debit.rows[0].balance);
+        await creditGeBalance("__treasury__", fee);
+      }
+
+      // Whole entry: re-point the row. Partial: split the moved qty into a new row.
+      let newEntryId = entry.id;
+      let changed;
+      if (qty >= Number(entry.qty)) {
+        const upd = await tx(
+          `UPDATE ge_entries SET ship_index=$2
+           WHERE id=$1 AND wallet=$3 AND ship_index=$4 AND qty=$5::int
+           RETURNING id`,
+          [entry.id, toShip, wallet, entry.ship_index, qty]
+        );
+        changed = upd.rowCount > 0;
+      } else {
+        changed = await reduceEntry(entry, qty);
+      }
+      if (!changed) {
+        await tx.rollback();
+        return { status: 409, error: "Entry changed, try again" };
+      }
+      if (qty < Number(entry.qty)) {
+        const ins = await tx(
+          `INSERT INTO ge_entries (round_id, wallet, ship_index, qty, payment_signature, ticket_sol, ticket_credits)
+           VALUES ($1,$2,$3,$4,$5,$6,$7::int)
+           RETURNING id`,
+          [round.id, wallet, toShip, qty, entry.payment_signature, entry.ticket_sol, ticketCredits]
+        );
+        newEntryId = ins.rows[0].id;
+      }
+      await tx(
+        `INSERT INTO ge_entry_changes (round_id, entry_id, wallet, action, qty, from_ship, to_ship, fee_sol, fee_credits)
+         VALUES ($1,$2,$3,'move',$4,$5,$6,$7,$8::int)`,
+        [round.id, entryId, wallet, qty, entry.ship_index, toShip, fee, feeCredits]
+      );
+
+      return { round, cfg, qty, fee, feeCredits, balance, credits, newEntryId, fromShip: Number(entry.ship_index) };
+    });
+    if (out.error) {
+      return res.status(out.status).json({ error: out.error, fee_sol: out.fee_sol, fee_credits: out.fee_credits });
+    }
+
+    const stats = await getRoundStats(out.round.id, out.cfg.shipsCount);
+    publishGe("entry_moved", {
+      table: out.round.table_key,
+      round_id: out.round.id,
+      wallet,
+      from_ship: out.fromShip,
+      ship_index: toShip,
+      qty: out.qty,
+    });
+    publishGe("stats", { table: out.round.table_key, round_id: out.round.id, stats });
+    return res.json({
+      ok: true,
+      round_id: out.round.id,
+      entry_id: out.newEntryId,
+      ship_index: toShip,
+      qty: out.qty,
+      fee_sol: out.fee,
+      fee_credits: out.feeCredits,
+      balance: out.balance,
+      credits: out.credits,
+      stats,
+    });
+  } catch (e) {
+    console.error("POST /api/v2/ge/entries/:id/move error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ===== Side bets =====
+// Fixed-odds markets on a round's outcome (kinds in src/sidebets.js). Stakes come from
+// ge_balances or an on-chain payment intent (kind 'ge_side_bet:<marketId>'), close at the entry
+// cutoff and are resolved inside settleRound from the seed-derived winner. Winnings go to
+// ge_balances; the house (__treasury__) takes lost stakes and pays the winners' profit.
+// A wallet either enters a round or bets on its markets, never both, so no bettor can steer the
+// outcome with their own tickets; markets of a round without real entries are voided.
+// Live totals are public, so a bet is refused while its fixed odds beat the chance the current
+// entries give it (checkLiveOdds). A market's liability (sum of stake * odds) is capped by a conditional UPDATE, so concurrent
+// bets can never overshoot it.
+function geSideMarketJson(m) {
+  const params = JSON.parse(m.params);
+  return {
+    id: m.id,
+    round_id: m.round_id,
+    kind: m.kind,
+    params,
+    label: marketLabel({ kind: m.kind, params }),
+    odds: Number(m.odds_bps) / 10000,
+    max_stake_sol: Number(m.max_stake_sol),
+    remaining_liability_sol: Math.max(0, Number(m.max_liability_sol) - Number(m.liability_sol)),
+    status: m.status,
+    outcome: m.outcome ?? null,
+  };
+}
+
+async function getRoundSideMarkets(roundId) {
+  const r = await query(`SELECT * FROM ge_side_markets WHERE round_id=$1 ORDER BY id`, [roundId]);
+  return r.rows;
+}
+
+// Markets that don't fit the round (e.g. a ship range beyond its ship count) are skipped.
+async function createSideMarkets(round, defs, { maxStakeSol, maxLiabilitySol } = {}) {
+  const created = [];
+  for (const d of defs) {
+    const invalid = validateMarket(d, Number(round.ships_count));
+    if (invalid) {
+      console.warn(`[ge] side market skipped for round ${round.id}: ${invalid}`);
+      continue;
+    }
+    const r = await query(
+      `INSERT INTO ge_side_markets (round_id, kind, params, odds_bps, max_stake_sol, max_liability_sol)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING *`,
+      [
+        round.id,
+        d.kind,
+        JSON.stringify(d.params),
+        d.oddsBps,
+        maxStakeSol ?? GE_SIDE_BET_MAX_SOL,
+        maxLiabilitySol ?? GE_SIDE_MARKET_MAX_LIABILITY_SOL,
+      ]
+    );
+    created.push(r.rows[0]);
+  }
+  return created;
+}
+
+// Market, round and stake checks shared by the balance and on-chain paths. Inside a transaction
+// the round row stays locked until commit, so an entry by the same wallet can't slip in between.
+// Returns { market, round } or { status, error }.
+async function checkSideBet(marketId, stakeSol, wallet) {
+  const m = await query(`SELECT * FROM ge_side_markets WHERE id=$1`, [marketId]);
+  const market = m.rows[0];
+  if (!market) return { status: 404, error: "Market not found" };
+  if (market.status !== "open") return { status: 400, error: "Market closed" };
+
+  const r = await query(`SELECT * FROM ge_rounds WHERE id=$1 FOR UPDATE`, [market.round_id]);
+  const round = r.rows[0];
+  if (!round || round.status !== "running") return { status: 400, error: "round not running" };
+  const cfg = geRoundConfig(round);
+  if (Date.now() > new Date(round.ends_at).getTime() - cfg.entryCutoffMs) {
+    return { status: 400, error: "Round entry closed" };
+  }
+  const entered = await query(`SELECT id FROM ge_entries WHERE round_id=$1 AND wallet=$2 LIMIT 1`, [round.id, wallet]);
+  if (entered.rowCount > 0) {
+    return { status: 409, error: "Wallets with entries in this round can't bet on its markets" };
+  }
+  if (!(stakeSol >= GE_SIDE_BET_MIN_SOL) || stakeSol > Number(market.max_stake_sol)) {
+    return { status: 400, error: `stake_sol must be in [${GE_SIDE_BET_MIN_SOL}, ${Number(market.max_stake_sol)}]` };
+  }
+  // Fixed odds against the tickets the draw would use right now.
+  const stats = await getRoundStats(round.id, cfg.shipsCount);
+  const oddsError = checkLiveOdds(
+    { kind: market.kind, params: JSON.parse(market.params), oddsBps: Number(market.odds_bps) },
+    geDrawPerShip(stats)
+  );
+  if (oddsError) return { status: 409, error: oddsError };
+  return { market, round };
+}
+
+// The other half of the entries/bets exclusion, checked by every entry path.
+async function hasRoundSideBets(roundId, wallet) {
+  const r = await query(`SELECT id FROM ge_side_bets WHERE round_id=$1 AND wallet=$2 LIMIT 1`, [roundId, wallet]);
+  return r.rowCount > 0;
+}
+
+// Reserve liability and record the bet. Caller owns the transaction.
+async function placeSideBet({ market, wallet, stakeSol, source, signature = null }) {
+  const liability = (stakeSol * Number(market.odds_bps)) / 10000;
+  const reserve = await query(
+    `UPDATE ge_side_markets
+     SET liability_sol = liability_sol + $2
+     WHERE id=$1 AND status='open' AND liability_sol + $2 <= max_liability_sol
+     RETURNING id`,
+    [market.id, liability]
+  );
+  if (reserve.rowCount === 0) return { status: 409, error: "Market is full" };
+
+  const b = await query(
+    `INSERT INTO ge_side_bets (market_id, round_id, wallet, stake, odds_bps, source, signature)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING *`,
+    [market.id, market.round_id, wallet, stakeSol, market.odds_bps, source, signature]
+  );
+  return { bet: b.rows[0] };
+}
+
+function geSideBetJson(b) {
+  return {
+    id: b.id,
+    market_id: b.market_id,
+    round_id: b.round_id,
+    stake_sol: Number(b.stake),
+    odds: Number(b.odds_bps) / 10000,
+    source: b.source,
+    status: b.status,
+    payout_sol: Number(b.payout),
+    created_at: b.created_at,
+    settled_at: b.settled_at || null,
+  };
+}
+
+function parseSideBetBody(body) {
+  const marketId = Number(body?.market_id);
+  if (!Number.isInteger(marketId) || marketId <= 0) return { error: "Invalid market_id" };
+  const lamports = Math.round(Number(body?.stake_sol) * 1_000_000_000);
+  if (!Number.isFinite(lamports) || lamports <= 0) return { error: "Invalid stake_sol" };
+  return { marketId, lamports, stakeSol: lamportsToSol(lamports) };
+}
+
+// Resolve every open market of a settled round (inside the settle transaction).
+async function resolveSideMarkets(roundId, outcome) {
+  let staked = 0;
+  let paid = 0;
+  const markets = [];
+  for (const m of await getRoundSideMarkets(roundId)) {
+    if (m.status !== "open") continue;
+    const won = resolveMarket({ kind: m.kind, params: JSON.parse(m.params) }, outcome);
+    await query(
+      `UPDATE ge_side_markets SET status='resolved', outcome=$2, resolved_at=NOW() WHERE id=$1`,
+      [m.id, won]
+    );
+    const bets = await query(`SELECT * FROM ge_side_bets WHERE market_id=$1 AND status='open'`, [m.id]);
+    for (const b of bets.rows) {
+      const stake = Number(b.stake);
+      const payout = won ? (stake * Number(b.odds_bps)) / 10000 : 0;
+      staked += stake;
+      paid += payout;
+      await query(
+        `UPDATE ge_side_bets SET status=$2, payout=$3, settled_at=NOW() WHERE id=$1`,
+        [b.id, won ? "won" : "lost", payout]
+      );
+      if (payout > 0) {
+        await query(
+          `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+           ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+          [b.wallet, payout]
+        );
+      }
+    }
+    markets.push({ id: m.id, kind: m.kind, outcome: won, bets: bets.rowCount });
+  }
+  // House result: lost stakes in, winners' profit out (may be negative).
+  if (staked !== paid) {
+    await query(
+      `INSERT INTO ge_balances (wallet, balance) VALUES ('__treasury__', $1)
+       ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+      [staked - paid]
+    );
+  }
+  return { markets, staked, paid };
+}
+
+// Void a cancelled round's markets and return open stakes to ge_balances (caller owns the tx).
+async function refundSideBets(roundId) {
+  const bets = await query(`SELECT * FROM ge_side_bets WHERE round_id=$1 AND status='open'`, [roundId]);
+  for (const b of bets.rows) {
+    await query(`UPDATE ge_side_bets SET status='refunded', payout=stake, settled_at=NOW() WHERE id=$1`, [b.id]);
+    await query(
+      `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+       ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+      [b.wallet, Number(b.stake)]
+    );
+  }
+  await query(`UPDATE ge_side_markets SET status='void', resolved_at=NOW() WHERE round_id=$1 AND status='open'`, [roundId]);
+  return bets.rowCount;
+}
+
+app.get("/api/v2/ge/round/:id/markets", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId) || roundId <= 0) return res.status(400).json({ error: "Invalid round id" });
+    const r = await query(`SELECT id, table_key, invite_code FROM ge_rounds WHERE id=$1`, [roundId]);
+    if (!r.rows[0] || !canSeeRound(req, r.rows[0])) return res.status(404).json({ error: "Round not found" });
+    const markets = await getRoundSideMarkets(roundId);
+    res.json({ ok: true, round_id: roundId, markets: markets.map(geSideMarketJson) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Stake from ge_balances.
+app.post("/api/v2/ge/side-bets", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+
+    const parsed = parseSideBetBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const blocked = await checkPlayAllowed(wallet, {});
+    if (blocked) return res.status(403).json(blocked);
+
+    let bet;
+    let balance;
+    const out = await withTransaction(async (tx) => {
+      const chk = await checkSideBet(parsed.marketId, parsed.stakeSol, wallet);
+      if (chk.error) {
+        await tx.rollback();
+        return { status: chk.status, body: { error: chk.error } };
+      }
+
+      const debit = await tx(
+        `UPDATE ge_balances
+         SET balance = balance - $2, updated_at=NOW()
+         WHERE wallet=$1 AND balance >= $2
+         RETURNING balance`,
+        [wallet, parsed.stakeSol]
+      );
+      if (debit.rowCount === 0) {
+        await tx.rollback();
+        return { status: 402, body: { error: "Insufficient balance", cost_sol: parsed.stakeSol } };
+      }
+      balance = Number(debit.rows[0].balance);
+
+      const placed = await placeSideBet({ market: chk.market, wallet, stakeSol: parsed.stakeSol, source: "balance" });
+      if (placed.error) {
+        await tx.rollback();
+        return { status: placed.status, body: { error: placed.error } };
+      }
+      bet = placed.bet;
+    });
+    if (out) return res.status(out.status).json(out.body);
+
+    return res.json({ ok: true, bet: geSideBetJson(bet), balance });
+  } catch (e) {
+    console.error("POST /api/v2/ge/side-bets error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Stake on-chain: quote a transfer to the GE treasury, then confirm with the signature.
+app.post("/api/v2/ge/side-bets/buy", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+
+    if (!GE_TREASURY_WALLET) {
+      return res.status(500).json({ error: "Server misconfigured (GE_TREASURY_WALLET missing)" });
+    }
+
+    const parsed = parseSideBetBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    const chk = await checkSideBet(parsed.marketId, parsed.stakeSol, wallet);
+    if (chk.error) return res.status(chk.status).json({ error: chk.error });
+
+    const blocked = await checkPlayAllowed(wallet, { depositSol: parsed.stakeSol });
+    if (blocked) return res.status(403).json(blocked);
+
+    const intentId = nanoid(24);
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    await query(
+      `INSERT INTO payment_intents (id, wallet, kind, price_usd, sol_usd, lamports, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [intentId, wallet, `ge_side_bet:${parsed.marketId}`, 0, 0, String(parsed.lamports), expiresAt]
+    );
+
+    const tx = await buildTransferTx({
+      rpcUrl: RPC_URL,
+      fromPubkey: wallet,
+      toPubkey: GE_TREASURY_WALLET,
+      lamports: parsed.lamports,
+    });
+
+    const serialized = Buffer.from(
+      tx.serialize({ requireAllSignatures: false, verifySignatures: false })
+    ).toString("base64");
+
+    return res.json({
+      ok: true,
+      intentId,
+      serialized,
+      lamports: parsed.lamports,
+      amountSol: parsed.stakeSol,
+      to: GE_TREASURY_WALLET,
+      market_id: parsed.marketId,
+      round_id: chk.round.id,
+      expiresAt: expiresAt.toISOString(),
+    });
+  } catch (e) {
+    console.error("POST /api/v2/ge/side-bets/buy error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// If the market closed (or filled up, or limits kicked in) while the transfer was in flight,
+// the paid stake is parked in ge_balances instead, as confirm-entry does.
+app.post("/api/v2/ge/side-bets/confirm", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    const { signature, intentId } = req.body || {};
+    if (!wallet || !signature || !intentId) return res.status(400).json({ error: "missing fields" });
+
+    const intent = await query(
+      `SELECT id, wallet, kind, lamports, expires_at
+       FROM payment_intents
+       WHERE id = $1`,
+      [intentId]
+    );
+    if (intent.rowCount === 0) return res.status(400).json({ error: "invalid intent" });
+
+    const row = intent.rows[0];
+    if (row.wallet !== wallet) return res.status(403).json({ error: "intent wallet mismatch" });
+    if (new Date(row.expires_at).getTime() < Date.now()) return res.status(410).json({ error: "intent expired" });
+
+    const m = /^ge_side_bet:(\d+)$/.exec(String(row.kind));
+    if (!m) return res.status(400).json({ error: "intent kind mismatch" });
+    const marketId = Number(m[1]);
+    const minLamports = Number(row.lamports);
+    const stakeSol = lamportsToSol(minLamports);
+
+    // Prevent replay
+    const already = await query(`SELECT signature FROM payments WHERE signature=$1`, [signature]);
+    if (already.rowCount > 0) {
+      return res.status(409).json({ error: "payment already processed" });
+    }
+
+    const verify = await verifySolPayment({
+      rpcUrl: RPC_URL,
+      signature,
+      expectedFrom: wallet,
+      expectedTo: GE_TREASURY_WALLET,
+      minLamports,
+    });
+
+    if (!verify.ok) return res.status(400).json({ error: "invalid payment", detail: verify });
+
+    const blocked = await checkPlayAllowed(wallet, { depositSol: stakeSol });
+
+    await query(`INSERT INTO users (wallet) VALUES ($1) ON CONFLICT (wallet) DO NOTHING`, [wallet]);
+
+    let bet = null;
+    let rejected = blocked;
+    await withTransaction(async (tx) => {
+      await tx(
+        `INSERT INTO payments (signature, wallet, kind, amount_sol, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [signature, wallet, row.kind, stakeSol, JSON.stringify({ intentId, marketId, lamports: minLamports })]
+      );
+
+      // Intent is single-use
+      await tx(`DELETE FROM payment_intents WHERE id=$1`, [intentId]);
+
+      if (!rejected) {
+        const chk = await checkSideBet(marketId, stakeSol, wallet);
+        const placed = chk.error
+          ? chk
+          : await placeSideBet({ market: chk.market, wallet, stakeSol, source: "onchain", signature });
+        if (placed.error) rejected = { error: placed.error, code: "side_bet_rejected" };
+        else bet = placed.bet;
+      }
+
+      if (rejected) {
+        await tx(
+          `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+           ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+          [wallet, stakeSol]
+        );
+      }
+    });
+
+    if (rejected) return res.status(409).json({ ...rejected, credited_sol: stakeSol });
+    return res.json({ ok: true, bet: geSideBetJson(bet) });
+  } catch (e) {
+    console.error("POST /api/v2/ge/side-bets/confirm error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/v2/ge/me/side-bets", requireAuth, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    const r = await query(
+      `SELECT * FROM ge_side_bets WHERE wallet=$1 ORDER BY id DESC LIMIT $2`,
+      [req.auth?.wallet, limit]
+    );
+    res.json({ ok: true, bets: r.rows.map(geSideBetJson) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Add a market to a running round (on top of the GE_SIDE_MARKETS defaults).
+app.post("/api/v2/ge/admin/rounds/:id/markets", requireAdmin, async (req, res) => {
+  try {
+    const r = await query(`SELECT * FROM ge_rounds WHERE id=$1`, [Number(req.params.id)]);
+    const round = r.rows[0];
+    if (!round) return res.status(404).json({ error: "Round not found" });
+    if (round.status !== "running") return res.status(409).json({ error: "Round not running" });
+
+    const body = req.body || {};
+    const def = { kind: String(body.kind || ""), params: body.params || {}, oddsBps: oddsToBps(body.odds) };
+    const invalid = validateMarket(def, Number(round.ships_count));
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const num = (v) => (v === undefined || v === null ? undefined : Number(v));
+    const maxStakeSol = num(body.max_stake_sol);
+    const maxLiabilitySol = num(body.max_liability_sol);
+    if ((maxStakeSol !== undefined && !(maxStakeSol > 0)) || (maxLiabilitySol !== undefined && !(maxLiabilitySol > 0))) {
+      return res.status(400).json({ error: "max_stake_sol and max_liability_sol must be > 0" });
+    }
+
+    const [market] = await createSideMarkets(round, [def], { maxStakeSol, maxLiabilitySol });
+    return res.json({ ok: true, market: geSideMarketJson(market) });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/rounds/:id/markets error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/v2/ge/admin/create-round", requireAdmin, resolveGeTable, async (req, res) => {
+  try {
+    // duration_minutes overrides the template's duration (kept for existing admin tooling).
+    const durationMinutes = req.body?.duration_minutes
+      ? Math.max(1, Math.min(24 * 60, Number(req.body.duration_minutes)))
+      : null;
+
+    const templateId = req.body?.template_id ? Number(req.body.template_id) : null;
+    if (templateId && !(await getRoundTemplate(templateId))) {
+      return res.status(400).json({ error: "Unknown or inactive template_id" });
+    }
+    const refundMethod = req.body?.refund_method || "balance";
+    if (!GE_REFUND_METHODS.includes(refundMethod)) return res.status(400).json({ error: "Invalid refund_method" });
+
+    // Close the table's open round (if any) and refund its paid entries
+    const closed = await query(
+      `UPDATE ge_rounds SET status='closed'
+       WHERE table_key=$1 AND status IN ('open','running','filling')
+       RETURNING id`,
+      [req.geTable.table_key]
+    );
+    const refunds = [];
+    for (const c of closed.rows) {
+      refunds.push(await refundClosedRound(c.id, { method: refundMethod }));
+    }
+
+    // Create a new running round immediately (dev-friendly)
+    const round = await createRound({ table: req.geTable, templateId, durationMinutes });
+
+    return res.json({ ok: true, round, refunds });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/create-round error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// --- Refunds for closed (cancelled) rounds ---
+// Every remaining real entry is refunded in full in what paid for it: credit-funded entries
+// back to user_credits, SOL-funded ones to ge_balances or on-chain via a pre-debited
+// ge_withdrawals row (same payout machinery). Bot entries are not refunded; entries cancelled
+// earlier are already gone from ge_entries.
+const GE_REFUND_METHODS = ["balance", "onchain"];
+
+async function refundClosedRound(roundId, { method = "balance" } = {}) {
+  const withdrawals = [];
+  let refunded = [];
+  let sideBetsRefunded = 0;
+  let table = null;
+
+  const alreadyRefunded = await withTransaction(async (tx) => {
+    // Idempotency: only the first refunder of a closed round proceeds.
+    const mark = await tx(
+      `UPDATE ge_rounds SET refunded_at=NOW()
+       WHERE id=$1 AND status='closed' AND refunded_at IS NULL
+       RETURNING *`,
+      [roundId]
+    );
+    if (mark.rowCount === 0) {
+      await tx.rollback();
+      return true;
+    }
+    table = mark.rows[0].table_key;
+    sideBetsRefunded = await refundSideBets(roundId);
+
+    const paid = await tx(
+      `SELECT wallet,
+              COALESCE(SUM(CASE WHEN ticket_credits > 0 THEN 0 ELSE qty * COALESCE(ticket_sol, $2) END),0) AS amount,
+              COALESCE(SUM(qty * ticket_credits),0) AS credits
+       FROM ge_entries
+       WHERE round_id=$1 AND NOT is_bot
+       GROUP BY wallet`,
+      [roundId, geRoundConfig(mark.rows[0]).entryPriceSol]
+    );
+
+    for (const p of paid.rows) {
+      const amount = Number(p.amount);
+      const credits = Number(p.credits);
+      if (!(amount > 0) && !(credits > 0)) continue;
+
+      if (credits > 0) await creditUserCredits(p.wallet, credits, "round_refund", `ge_refund:${roundId}`);
+      if (!(amount > 0)) {
+        await tx(
+          `INSERT INTO ge_refunds (round_id, wallet, amount, credits, method)
+           VALUES ($1, $2, 0, $3::int, 'credits')
+           ON CONFLICT (round_id, wallet) DO NOTHING`,
+          [roundId, p.wallet, credits]
+        );
+      } else if (method === "onchain" && isProbableSolanaAddress(p.wallet)) {
+        const lamports = Math.floor(amount * 1e9);
+        const withdrawalId = nanoid(24);
+        await tx(
+          `INSERT INTO ge_withdrawals (id, wallet, amount_sol, lamports, status, expires_at, debited_at)
+           VALUES ($1, $2, $3, $4, 'debited', NOW(), NOW())`,
+          [withdrawalId, p.wallet, lamportsToSol(lamports), String(lamports)]
+        );
+        await tx(
+          `INSERT INTO ge_refunds (round_id, wallet, amount, credits, method, withdrawal_id)
+           VALUES ($1, $2, $3, $4::int, 'onchain', $5)
+           ON CONFLICT (round_id, wallet) DO NOTHING`,
+          [roundId, p.wallet, amount, credits, withdrawalId]
+        );
+        withdrawals.push(withdrawalId);
+      } else {
+        await tx(
+          `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+           ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+          [p.wallet, amount]
+        );
+        await tx(
+          `INSERT INTO ge_refunds (round_id, wallet, amount, credits, method)
+           VALUES ($1, $2, $3, $4::int, 'balance')
+           ON CONFLICT (round_id, wallet) DO NOTHING`,
+          [roundId, p.wallet, amount, credits]
+        );
+      }
+      refunded.push({ wallet: p.wallet, amount, credits });
+    }
+    return false;
+  });
+  if (alreadyRefunded) return { ok: true, round_id: roundId, already_refunded: true };
+
+  // Best-effort payouts; failures stay 'debited' and are retried via confirm-withdraw.
+  for (const id of withdrawals) {
+    try {
+      const w = await query(`SELECT * FROM ge_withdrawals WHERE id=$1`, [id]);
+      if (w.rowCount) await processGeWithdrawal(w.rows[0]);
+    } catch (e) {
+      console.warn("[ge] refund payout failed", id, e?.message || e);
+    }
+  }
+
+  publishGe("round_refunded", { table, round_id: roundId, wallets: refunded.length });
+  return {
+    ok: true,
+    round_id: roundId,
+    method,
+    refunded,
+    total: refunded.reduce((a, r) => a + r.amount, 0),
+    total_credits: refunded.reduce((a, r) => a + r.credits, 0),
+    side_bets_refunded: sideBetsRefunded,
+  };
+}
+
+// Cancel a round (running/filling -> closed) and refund its paid entries.
+// Also usable on rounds that were closed earlier without refunds.
+app.post("/api/v2/ge/admin/rounds/:id/cancel", requireAdmin, async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    const method = req.body?.refund_method || "balance";
+    if (!GE_REFUND_METHODS.includes(method)) return res.status(400).json({ error: "Invalid refund_method" });
+
+    const r = await query(`SELECT id, status FROM ge_rounds WHERE id=$1`, [roundId]);
+    const round = r.rows[0];
+    if (!round) return res.status(404).json({ error: "Round not found" });
+    if (round.status === "settled") return res.status(409).json({ error: "Round already settled" });
+
+    await query(
+      `UPDATE ge_rounds SET status='closed' WHERE id=$1 AND status IN ('open','running','filling')`,
+      [roundId]
+    );
+    const out = await refundClosedRound(roundId, { method });
+    return res.json(out);
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/rounds/:id/cancel error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/v2/ge/me/refunds", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    const r = await query(
+      `SELECT f.round_id, f.amount, f.credits, f.method, f.created_at, f.withdrawal_id,
+              w.status AS withdrawal_status, w.tx_signature
+       FROM ge_refunds f
+       LEFT JOIN ge_withdrawals w ON w.id = f.withdrawal_id
+       WHERE f.wallet=$1
+       ORDER BY f.round_id DESC`,
+      [wallet]
+    );
+    res.json({
+      ok: true,
+      refunds: r.rows.map((x) => ({
+        round_id: x.round_id,
+        amount: Number(x.amount),
+        credits: Number(x.credits || 0),
+        method: x.method,
+        // balance/credit refunds are final when credited; on-chain ones follow their withdrawal
+        status: x.method !== "onchain" ? "credited" : x.withdrawal_status === "paid" ? "paid" : "pending",
+        withdrawal_id: x.withdrawal_id || null,
+        tx_signature: x.tx_signature || null,
+        created_at: x.created_at,
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- Round templates (admin) ---
+// New rounds snapshot the default (or explicitly chosen) template; editing a template
+// never changes rounds that already exist.
+app.get("/api/v2/ge/admin/templates", requireAdmin, async (_req, res) => {
+  try {
+    const r = await query(`SELECT * FROM ge_round_templates ORDER BY id`);
+    res.json({ ok: true, templates: r.rows, env_default: geEnvTemplate() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/v2/ge/admin/templates", requireAdmin, async (req, res) => {
+  try {
+    const parsed = parseRoundTemplateInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const t = parsed.values;
+    const invalid = validateRoundTemplate(t);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const template = await withTransaction(async (tx) => {
+      if (t.is_default) await tx(`UPDATE ge_round_templates SET is_default=FALSE WHERE is_default=TRUE`);
+      const r = await tx(
+        `INSERT INTO ge_round_templates
+           (name, ships_count, entry_price_sol, winner_bps, participation_bps, treasury_bps,
+            entry_cutoff_ms, duration_minutes, is_default, active)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+         RETURNING *`,
+        [
+          t.name,
+          t.ships_count,
+          t.entry_price_sol,
+          t.winner_bps,
+          t.participation_bps,
+          t.treasury_bps,
+          t.entry_cutoff_ms,
+          t.duration_minutes,
+          !!t.is_default,
+          t.active !== false,
+        ]
+      );
+      return r.rows[0];
+    });
+    return res.json({ ok: true, template });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/templates error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/v2/ge/admin/templates/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const existing = await query(`SELECT * FROM ge_round_templates WHERE id=$1`, [id]);
+    if (existing.rowCount === 0) return res.status(404).json({ error: "Template not found" });
+
+    const parsed = parseRoundTemplateInput(req.body || {}, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const t = { ...existing.rows[0], ...parsed.values };
+    const invalid = validateRoundTemplate(t);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const template = await withTransaction(async (tx) => {
+      if (t.is_default) await tx(`UPDATE ge_round_templates SET is_default=FALSE WHERE is_default=TRUE AND id<>$1`, [id]);
+      const r = await tx(
+        `UPDATE ge_round_templates
+         SET name=$2, ships_count=$3, entry_price_sol=$4, winner_bps=$5, participation_bps=$6,
+             treasury_bps=$7, entry_cutoff_ms=$8, duration_minutes=$9, is_default=$10, active=$11,
+             updated_at=NOW()
+         WHERE id=$1
+         RETURNING *`,
+        [
+          id,
+          t.name,
+          t.ships_count,
+          t.entry_price_sol,
+          t.winner_bps,
+          t.participation_bps,
+          t.treasury_bps,
+          t.entry_cutoff_ms,
+          t.duration_minutes,
+          !!t.is_default,
+          !!t.active,
+        ]
+      );
+      return r.rows[0];
+    });
+    return res.json({ ok: true, template });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/templates/:id error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Soft delete: rounds keep referencing template_id, so templates are deactivated, not removed.
+app.post("/api/v2/ge/admin/templates/:id/delete", requireAdmin, async (req, res) => {
+  try {
+    const r = await query(
+      `UPDATE ge_round_templates SET active=FALSE, is_default=FALSE, updated_at=NOW()
+       WHERE id=$1
+       RETURNING *`,
+      [Number(req.params.id)]
+    );
+    if (r.rowCount === 0) return res.status(404).json({ error: "Template not found" });
+    return res.json({ ok: true, template: r.rows[0] });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// --- GE tables (admin) ---
+// A table binds a key to a template (its stakes). Deactivating a table lets its current round
+// finish but stops new ones; tables are never deleted since rounds reference their key.
+async function parseGeTableInput(body, { partial = false } = {}) {
+  const out = {};
+  const has = (k) => body[k] !== undefined && body[k] !== null;
+
+  if (has("name")) {
+    const name = String(body.name).trim();
+    if (!name || name.length > 64) return { error: "name must be 1-64 chars" };
+    out.name = name;
+  } else if (!partial) {
+    return { error: "name required" };
+  }
+
+  if (body.template_id === null) {
+    out.template_id = null;
+  } else if (has("template_id")) {
+    const id = Number(body.template_id);
+    if (!Number.isInteger(id) || !(await getRoundTemplate(id))) {
+      return { error: "Unknown or inactive template_id" };
+    }
+    out.template_id = id;
+  }
+
+  if (has("sort_order")) {
+    const v = Number(body.sort_order);
+    if (!Number.isInteger(v)) return { error: "sort_order must be an integer" };
+    out.sort_order = v;
+  }
+  if (has("active")) out.active = !!body.active;
+  return { values: out };
+}
+
+app.get("/api/v2/ge/admin/tables", requireAdmin, async (_req, res) => {
+  try {
+    const r = await query(`SELECT * FROM ge_tables ORDER BY sort_order, table_key`);
+    res.json({ ok: true, tables: r.rows });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/v2/ge/admin/tables", requireAdmin, async (req, res) => {
+  try {
+    const key = String(req.body?.table_key || "").trim().toLowerCase();
+    if (!GE_TABLE_KEY_RE.test(key)) {
+      return res.status(400).json({ error: "table_key must match [a-z0-9][a-z0-9_-]{0,31}" });
+    }
+    if (key === GE_PRIVATE_TABLE) return res.status(400).json({ error: "table_key is reserved" });
+    if (await getGeTable(key)) return res.status(409).json({ error: "Table already exists" });
+
+    const parsed = await parseGeTableInput(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const t = parsed.values;
+
+    const r = await query(
+      `INSERT INTO ge_tables (table_key, name, template_id, active, sort_order)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING *`,
+      [key, t.name, t.template_id ?? null, t.active !== false, t.sort_order ?? 0]
+    );
+    return res.json({ ok: true, table: r.rows[0] });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/tables error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/api/v2/ge/admin/tables/:key", requireAdmin, async (req, res) => {
+  try {
+    const existing = await getGeTable(String(req.params.key));
+    if (!existing) return res.status(404).json({ error: "Table not found" });
+
+    const parsed = await parseGeTableInput(req.body || {}, { partial: true });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const t = { ...existing, ...parsed.values };
+
+    const r = await query(
+      `UPDATE ge_tables
+       SET name=$2, template_id=$3, active=$4, sort_order=$5, updated_at=NOW()
+       WHERE table_key=$1
+       RETURNING *`,
+      [existing.table_key, t.name, t.template_id ?? null, !!t.active, Number(t.sort_order)]
+    );
+    return res.json({ ok: true, table: r.rows[0] });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/tables/:key error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ===== Private rooms =====
+// Any wallet can host a round with its own duration, ship count and entry price. Rooms use the
+// default template's split, run through the same settleRound (commit–reveal, Merkle commitment,
+// payouts) and are only joinable by passing `invite_code` to the entry routes; the round-data
+// routes (summary, payouts, race, verify, proof, markets) want it too. The host may take
+// up to GE_ROOM_MAX_HOST_FEE_BPS of the pot. Rooms skip the jackpot and leaderboards.
+const newInviteCode = customAlphabet(REFERRAL_CODE_ALPHABET, 10);
+
+function geHostFee(round, potSol) {
+  if (!round.host_wallet || !(potSol > 0)) return 0;
+  return (potSol * Number(round.host_fee_bps || 0)) / 10000;
+}
+
+function geRoomJson(round) {
+  return { ...geRoundJson(round), invite_code: round.invite_code, host_fee_paid: Number(round.host_fee_paid || 0) };
+}
+
+app.post("/api/v2/ge/rooms", geEnterLimiter, requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+
+    const body = req.body || {};
+    const durationMinutes = Number(body.duration_minutes);
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 24 * 60) {
+      return res.status(400).json({ error: "duration_minutes must be an integer in [1, 1440]" });
+    }
+    const shipsCount = Number(body.ships_count);
+    if (!Number.isInteger(shipsCount) || shipsCount < 2 || shipsCount > ALIEN_COUNT) {
+      return res.status(400).json({ error: `ships_count must be an integer in [2, ${ALIEN_COUNT}]` });
+    }
+    const entryPriceSol = Number(body.entry_price_sol);
+    if (!Number.isFinite(entryPriceSol) || entryPriceSol <= 0 || entryPriceSol > 1000) {
+      return res.status(400).json({ error: "entry_price_sol must be in (0, 1000]" });
+    }
+    const hostFeeBps = Number(body.host_fee_bps || 0);
+    if (!Number.isInteger(hostFeeBps) || hostFeeBps < 0 || hostFeeBps > GE_ROOM_MAX_HOST_FEE_BPS) {
+      return res.status(400).json({ error: `host_fee_bps must be an integer in [0, ${GE_ROOM_MAX_HOST_FEE_BPS}]` });
+    }
+
+    const blocked = await checkPlayAllowed(wallet, {});
+    if (blocked) return res.status(403).json(blocked);
+
+    const open = await query(
+      `SELECT COUNT(*) AS c FROM ge_rounds WHERE host_wallet=$1 AND status IN ('filling','running')`,
+      [wallet]
+    );
+    if (Number(open.rows[0]?.c || 0) >= GE_ROOM_MAX_OPEN_PER_HOST) {
+      return res.status(429).json({ error: `At most ${GE_ROOM_MAX_OPEN_PER_HOST} open rooms per host` });
+    }
+
+    // Split comes from the default template; the cutoff is capped so short rooms stay joinable.
+    const base = await getRoundTemplate(null);
+    const template = {
+      ...base,
+      id: null,
+      ships_count: shipsCount,
+      entry_price_sol: entryPriceSol,
+      duration_minutes: durationMinutes,
+      entry_cutoff_ms: Math.min(Number(base.entry_cutoff_ms), Math.floor((durationMinutes * 60 * 1000) / 4)),
+    };
+
+    const round = await createRound({
+      template,
+      room: { hostWallet: wallet, inviteCode: newInviteCode(), hostFeeBps },
+    });
+    return res.json({ ok: true, room: geRoomJson(round), config: geConfigJson(geRoundConfig(round)) });
+  } catch (e) {
+    console.error("POST /api/v2/ge/rooms error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Rooms hosted by the caller, newest first.
+app.get("/api/v2/ge/rooms", requireAuth, async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT * FROM ge_rounds WHERE host_wallet=$1 AND table_key=$2 ORDER BY id DESC LIMIT 50`,
+      [req.auth?.wallet, GE_PRIVATE_TABLE]
+    );
+    res.json({ ok: true, rooms: r.rows.map(geRoomJson) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// The invite code is the access token: anyone holding it can see and join the room.
+app.get("/api/v2/ge/rooms/:code", async (req, res) => {
+  try {
+    const round = await getRoomByCode(req.params.code);
+    if (!round) return res.status(404).json({ error: "Room not found" });
+    const cfg = geRoundConfig(round);
+    res.json({
+      ok: true,
+      room: geRoomJson(round),
+      stats: await getRoundStats(round.id, cfg.shipsCount),
+      config: geConfigJson(cfg),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Host cancels a room before its entry cutoff; paid entries are refunded to ge_balances.
+app.post("/api/v2/ge/rooms/:code/cancel", requireAuth, async (req, res) => {
+  try {
+    const round = await getRoomByCode(req.params.code);
+    if (!round) return res.status(404).json({ error: "Room not found" });
+    if (round.host_wallet !== req.auth?.wallet) return res.status(403).json({ error: "Only the host can cancel" });
+    if (round.status === "settled") return res.status(409).json({ error: "Round already settled" });
+    // Past the cutoff the entries are committed (entries_root) and the draw is due.
+    const pastCutoff = () => res.status(409).json({ error: "Room is past its entry cutoff" });
+    if (round.status === "running" && Date.now() > new Date(round.ends_at).getTime() - geRoundConfig(round).entryCutoffMs) {
+      return pastCutoff();
+    }
+
+    const closed = await query(
+      `UPDATE ge_rounds SET status='closed'
+       WHERE id=$1 AND status IN ('open','running','filling') AND entries_root IS NULL`,
+      [round.id]
+    );
+    if (closed.rowCount === 0 && round.status !== "closed") return pastCutoff();
+    const out = await refundClosedRound(round.id, { method: "balance" });
+    return res.json(out);
+  } catch (e) {
+    console.error("POST /api/v2/ge/rooms/:code/cancel error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Record a payout and credit it to the wallet's internal balance (caller owns the transaction).
+async function creditGePayout(roundId, wallet, amount, kind) {
+  await query(`INSERT INTO ge_payouts (round_id, wallet, amount, kind) VALUES ($1,$2,$3,$4)`, [
+    roundId,
+    wallet,
+    amount,
+    kind,
+  ]);
+  await query(
+    `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+     ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+    [wallet, amount]
+  );
+}
+
+async function getShipEntrants(roundId, shipIndex) {
+  const r = await query(
+    `SELECT wallet, COALESCE(SUM(qty),0) AS qty
+     FROM ge_entries
+     WHERE round_id=$1 AND ship_index=$2 AND is_bot = FALSE
+     GROUP BY wallet`,
+    [roundId, shipIndex]
+  );
+  return { rows: r.rows, totalQty: r.rows.reduce((a, x) => a + Number(x.qty), 0) };
+}
+
+// Fold one settled round into the leaderboard tables. Must run inside the settlement
+// transaction (or the rebuild) so each round is counted exactly once, in round order.
+// sol_won counts winner-ship payouts (winner pot, jackpot) only, not participation or tier shares.
+async function applyRoundToLeaderboards(roundId, winningShip, settledAt) {
+  const day = new Date(settledAt).toISOString().slice(0, 10);
+  const r = await query(
+    `SELECT e.wallet,
+            COALESCE(SUM(e.qty),0) AS entries,
+            COALESCE(SUM(CASE WHEN e.ship_index=$2 THEN e.qty ELSE 0 END),0) AS win_qty,
+            COALESCE(MAX(p.amount),0) AS won
+     FROM ge_entries e
+     LEFT JOIN (
+       SELECT wallet, SUM(amount) AS amount FROM ge_payouts
+       WHERE round_id=$1 AND (kind IN ('winner','jackpot') OR kind IS NULL)
+       GROUP BY wallet
+     ) p ON p.wallet = e.wallet
+     WHERE e.round_id=$1 AND e.is_bot = FALSE
+     GROUP BY e.wallet`,
+    [roundId, winningShip]
+  );
+
+  for (const row of r.rows) {
+    const entries = Number(row.entries);
+    const won = Number(row.won);
+    const isWin = Number(row.win_qty) > 0 ? 1 : 0;
+
+    const st = await query(
+      `INSERT INTO ge_wallet_stats
+         (wallet, entries, rounds_played, rounds_won, sol_won, biggest_win, current_streak, best_streak, last_round_id)
+       VALUES ($1,$2,1,$3,$4,$4,$3,$3,$5)
+       ON CONFLICT (wallet) DO UPDATE SET
+         entries = ge_wallet_stats.entries + EXCLUDED.entries,
+         rounds_played = ge_wallet_stats.rounds_played + 1,
+         rounds_won = ge_wallet_stats.rounds_won + EXCLUDED.rounds_won,
+         sol_won = ge_wallet_stats.sol_won + EXCLUDED.sol_won,
+         biggest_win = CASE WHEN EXCLUDED.biggest_win > ge_wallet_stats.biggest_win
+           THEN EXCLUDED.biggest_win ELSE ge_wallet_stats.biggest_win END,
+         best_streak = CASE WHEN EXCLUDED.rounds_won > 0 AND ge_wallet_stats.current_streak + 1 > ge_wallet_stats.best_streak
+           THEN ge_wallet_stats.current_streak + 1 ELSE ge_wallet_stats.best_streak END,
+         current_streak = CASE WHEN EXCLUDED.rounds_won > 0 THEN ge_wallet_stats.current_streak + 1 ELSE 0 END,
+         last_round_id = EXCLUDED.last_round_id,
+         updated_at = NOW()
+       RETURNING current_streak`,
+      [row.wallet, entries, isWin, won, roundId]
+    );
+    const streak = Number(st.rows[0]?.current_streak || 0);
+
+    await query(
+      `INSERT INTO ge_wallet_daily_stats
+         (day, wallet, entries, rounds_played, rounds_won, sol_won, biggest_win, best_streak)
+       VALUES ($1,$2,$3,1,$4,$5,$5,$6)
+       ON CONFLICT (day, wallet) DO UPDATE SET
+         entries = ge_wallet_daily_stats.entries + EXCLUDED.entries,
+         rounds_played = ge_wallet_daily_stats.rounds_played + 1,
+         rounds_won = ge_wallet_daily_stats.rounds_won + EXCLUDED.rounds_won,
+         sol_won = ge_wallet_daily_stats.sol_won + EXCLUDED.sol_won,
+         biggest_win = CASE WHEN EXCLUDED.biggest_win > ge_wallet_daily_stats.biggest_win
+           THEN EXCLUDED.biggest_win ELSE ge_wallet_daily_stats.biggest_win END,
+         best_streak = CASE WHEN EXCLUDED.best_streak > ge_wallet_daily_stats.best_streak
+           THEN EXCLUDED.best_streak ELSE ge_wallet_daily_stats.best_streak END`,
+      [day, row.wallet, entries, isWin, won, streak]
+    );
+  }
+}
+
+// ===== Entries commitment =====
+// At entry cutoff the round's ge_entries (id order) are hashed into a Merkle root that is stored
+// on the round, published with the cutoff event and mixed into the settlement seed, so every
+// player can prove their entries were counted before the winner was known.
+async function getRoundEntryLeaves(roundId) {
+  const r = await query(
+    `SELECT id, round_id, wallet, ship_index, qty FROM ge_entries WHERE round_id=$1 ORDER BY id ASC`,
+    [roundId]
+  );
+  return r.rows.map((x) => ({
+    id: Number(x.id),
+    wallet: x.wallet,
+    ship_index: Number(x.ship_index),
+    qty: Number(x.qty),
+    leaf: entryLeaf({ ...x, round_id: Number(x.round_id) }),
+  }));
+}
+
+// Idempotent: stores the root once and never replaces it. The round row is locked first, so
+// entry writes still in flight (they hold it FOR SHARE, see lockRoundForEntries) land before the
+// leaves are read, and every later write finds the root set and is refused.
+// Returns the stored root, or null if the entries no longer match it (the round must be voided).
+async function commitEntriesRoot(roundId) {
+  return withTransaction(async (tx) => {
+    const r = await tx(`SELECT entries_root FROM ge_rounds WHERE id=$1 FOR UPDATE`, [roundId]);
+    const root = merkleRoot((await getRoundEntryLeaves(roundId)).map((x) => x.leaf));
+    const stored = r.rows[0]?.entries_root || null;
+    if (stored) {
+      if (stored === root) return stored;
+      console.error(`[GE] round ${roundId} entries changed after the root was committed`);
+      return null;
+    }
+    await tx(
+      `UPDATE ge_rounds SET entries_root=$2, entries_root_at=NOW() WHERE id=$1 AND status='running'`,
+      [roundId, root]
+    );
+    return root;
+  });
+}
+
+// Entry writes (new, cancelled or moved entries) call this inside their transaction: it holds the
+// round row FOR SHARE until commit and fails once the entries root is committed.
+async function lockRoundForEntries(roundId) {
+  const r = await query(
+    `SELECT id FROM ge_rounds WHERE id=$1 AND status='running' AND entries_root IS NULL FOR SHARE`,
+    [roundId]
+  );
+  return r.rowCount > 0;
+}
+
+// ===== Progressive jackpot =====
+// One pool per table (ge_jackpot.pool = table key), so stakes never mix.
+// Returns the pool balance after applying delta (negative = payout). Call inside the settle tx.
+async function addToJackpot(pool, delta) {
+  const r = await query(
+    `INSERT INTO ge_jackpot (pool, balance) VALUES ($1,$2)
+     ON CONFLICT (pool) DO UPDATE SET balance = ge_jackpot.balance + EXCLUDED.balance, updated_at=NOW()
+     RETURNING balance`,
+    [pool, delta]
+  );
+  return Number(r.rows[0]?.balance || 0);
+}
+
+async function getJackpotJson(tableKey = GE_DEFAULT_TABLE) {
+  const pool = await query(`SELECT balance FROM ge_jackpot WHERE pool=$1`, [tableKey]);
+  const last = await query(
+    `SELECT id, jackpot_paid, settled_at FROM ge_rounds
+     WHERE table_key=$1 AND jackpot_paid > 0
+     ORDER BY id DESC LIMIT 1`,
+    [tableKey]
+  );
+  const l = last.rows[0];
+  return {
+    pool_sol: Number(pool.rows[0]?.balance || 0),
+    contribution_bps: GE_JACKPOT_BPS,
+    odds: GE_JACKPOT_ODDS,
+    last_hit: l ? { round_id: l.id, paid_sol: Number(l.jackpot_paid), settled_at: l.settled_at } : null,
+  };
+}
+
+async function settleRound(round) {
+  const now = new Date();
+
+  if (!round.started_at || round.status !== "running") {
+    return { ok: false, error: "Round not running" };
+  }
+
+  const endsAt = new Date(round.ends_at);
+  if (now.getTime() < endsAt.getTime()) {
+    return { ok: false, error: "Round not ended yet" };
+  }
+
+  // One transaction that starts by committing the entries root: that locks the round row, so
+  // in-flight entry writes land first and later ones are refused (lockRoundForEntries). The draw,
+  // totals and market outcomes in drawAndPayRound then describe exactly the committed leaves.
+  const result = await withTransaction(() => drawAndPayRound(round));
+  if (result.ok && !result.already_settled) {
+    // NOTIFY payloads are capped at 8000 bytes, so the event carries the summary only; listeners
+    // fetch /api/v2/ge/round/:id/race (or /round/summary?round_id=) for the timeline and payouts.
+    publishGe("settled", {
+      table: result.table,
+      round_id: result.round_id,
+      game_mode: round.game_mode || "roulette",
+      winning_ship_index: result.winning_ship_index,
+      seed: result.seed,
+      entries_root: result.entries_root,
+      pot_sol: result.pot_sol,
+      winner_pot: result.winner_pot,
+      jackpot_hit: result.jackpot.hit,
+      ends_at: result.ends_at,
+    });
+  }
+  return result;
+}
+
+// Draw and pay out an ended round (settleRound's transaction).
+async function drawAndPayRound(round) {
+  const endsAt = new Date(round.ends_at);
+  const cfg = geRoundConfig(round);
+  const entriesRoot = await commitEntriesRoot(round.id);
+  if (!entriesRoot) {
+    // The published commitment no longer describes the entries: don't draw, refund everyone.
+    await query(`UPDATE ge_rounds SET status='closed' WHERE id=$1 AND status='running'`, [round.id]);
+    await refundClosedRound(round.id, { method: "balance" });
+    return { ok: false, error: "Entries changed after the root was committed; round voided", round_id: round.id };
+  }
+  const stats = await getRoundStats(round.id, cfg.shipsCount);
+  const drawPerShip = geDrawPerShip(stats);
+  // Commit–reveal style seed: round has a secret (seed_reveal) stored server-side.
+  // seed_reveal is only exposed after settlement (see /api/v2/ge/round/:id/verify).
+  const secret = round.seed_reveal || crypto.randomBytes(32).toString("hex");
+  const { seed } = deriveRoundSeed({
+    secret,
+    roundId: round.id,
+    endsAt,
+    totalEntries: stats.realEntries,
+    entriesRoot,
+  });
+
+  // Winner selection: weighted by entries (tickets), not by ship.
+  // This makes P(win ship i) proportional to real entries on that ship.
+  const { ticket, winningShip } = pickWinningShip({ seed, perShip: drawPerShip });
+
+  // Elimination mode: the full knock-out sequence is derived from the same seed.
+  const eliminationOrder = round.game_mode === "elimination"
+    ? deriveEliminationOrder({ seed, shipsCount: cfg.shipsCount, winningShip })
+    : null;
+  // Race mode: every client renders this exact timeline, so the race always ends on winningShip.
+  const raceTimeline = round.game_mode === "race"
+    ? deriveRaceTimeline({ seed, shipsCount: cfg.shipsCount, winningShip, checkpoints: GE_RACE_CHECKPOINTS })
+    : null;
+
+  // Bots put no SOL in: the pot is real entries only.
+  const potSol = await getRoundPotSol(round.id, cfg);
+  const emissionsTotal = potSol;
+  // Private rooms: the host fee comes off the top, the usual split applies to the rest.
+  const isRoom = round.table_key === GE_PRIVATE_TABLE;
+  const hostFee = geHostFee(round, potSol);
+  const splitPot = potSol - hostFee;
+
+  const treasuryCut = (splitPot * cfg.treasuryBps) / 10000;
+  let winnerPot = (splitPot * cfg.winnerBps) / 10000;
+  const participationPot = (splitPot * cfg.participationBps) / 10000;
+
+  // Tiered elimination rewards: runner-up ships (by survival rank) get a slice of the winner pot.
+  // A tier whose ship has no entrants is not paid and stays with the winners.
+  const tiers = [];
+  if (eliminationOrder) {
+    const tierBps = parseTierBps(round.elimination_tier_bps);
+    if (tierBps.reduce((a, b) => a + b, 0) <= cfg.winnerBps) {
+      for (let k = 0; k < tierBps.length; k++) {
+        const shipIndex = eliminationOrder[eliminationOrder.length - 2 - k];
+        if (shipIndex === undefined) break;
+        const entrants = await getShipEntrants(round.id, shipIndex);
+        if (entrants.totalQty <= 0) continue;
+        const pot = (splitPot * tierBps[k]) / 10000;
+        tiers.push({ rank: k + 2, ship_index: shipIndex, pot, entrants });
+        winnerPot -= pot;
+      }
+    } else {
+      console.warn("[ge] elimination tiers exceed winner_bps; ignoring", round.id);
+    }
+  }
+
+  // Winners are wallets that picked winningShip; split pro-rata by qty on that ship.
+  const winners = await getShipEntrants(round.id, winningShip);
+  const winTotalQty = winners.totalQty;
+
+  // Participation: all real wallets split pro-rata by total entries (across all ships).
+  const participants = await query(
+    `SELECT wallet, COALESCE(SUM(qty),0) AS qty
+     FROM ge_entries
+     WHERE round_id=$1 AND is_bot = FALSE
+     GROUP BY wallet`,
+    [round.id]
+  );
+  const partTotalQty = participants.rows.reduce((a, r) => a + Number(r.qty), 0);
+
+  // Referral share: each referee's slice of the treasury cut (pro-rata by entries) pays
+  // GE_REFERRAL_BPS of itself to their referrer; the treasury keeps the rest.
+  const referralShares = [];
+  if (GE_REFERRAL_BPS > 0 && treasuryCut > 0 && partTotalQty > 0) {
+    const refs = await query(
+      `SELECT e.wallet AS referee, r.referrer, COALESCE(SUM(e.qty),0) AS qty
+       FROM ge_entries e
+       JOIN referrals r ON r.referee = e.wallet
+       WHERE e.round_id=$1
+       GROUP BY e.wallet, r.referrer`,
+      [round.id]
+    );
+    for (const x of refs.rows) {
+      const amount = (treasuryCut * Number(x.qty) / partTotalQty) * GE_REFERRAL_BPS / 10000;
+      if (amount > 0) referralShares.push({ referee: x.referee, referrer: x.referrer, amount });
+    }
+  }
+  const referralTotal = referralShares.reduce((a, x) => a + x.amount, 0);
+
+  // Progressive jackpot: fed from what the referral shares leave of the treasury cut. On a hit
+  // the whole pool (this round's contribution included) goes to the winning ship's real entrants;
+  // with no real entrants on that ship it keeps rolling over. Private rooms stay out of it.
+  const jackpotOdds = isRoom ? 0 : GE_JACKPOT_ODDS;
+  const jackpotContribution = isRoom ? 0 : Math.max(
+    0,
+    Math.min(treasuryCut - referralTotal, (treasuryCut * GE_JACKPOT_BPS) / 10000)
+  );
+  const jackpot = jackpotRoll({ seed, odds: jackpotOdds });
+  let jackpotPool = 0;
+  let jackpotPaid = 0;
+  let sideBetResult = null;
+
+  const alreadySettled = await withTransaction(async (tx) => {
+    // Idempotency: only the first settler succeeds.
+    const upd = await tx(
+      `UPDATE ge_rounds
+       SET status='settled',
+           settled_at=NOW(),
+           winning_ship_index=$2,
+           emissions_total=$3,
+           seed=$4,
+           seed_commit=COALESCE(seed_commit, $5),
+           seed_reveal=COALESCE(seed_reveal, $6),
+           entries_snapshot=$7,
+           ticket=$8,
+           elimination_order=$9,
+           race_timeline=$10
+       WHERE id=$1 AND status='running'
+       RETURNING id, settled_at`,
+      [
+        round.id,
+        winningShip,
+        emissionsTotal,
+        seed,
+        sha256Hex(secret),
+        secret,
+        JSON.stringify(drawPerShip.map((x) => x.qty)),
+        ticket,
+        eliminationOrder ? JSON.stringify(eliminationOrder) : null,
+        raceTimeline ? JSON.stringify(raceTimeline) : null,
+      ]
+    );
+
+    if (upd.rowCount === 0) {
+      await tx.rollback();
+      return true;
+    }
+
+    // Treasury balance (net of referral shares and the jackpot contribution)
+    if (treasuryCut - referralTotal - jackpotContribution > 0) {
+      await tx(
         `INSERT INTO ge_balances (wallet, balance) VALUES ('__treasury__', $1)
          ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
-        [treasuryCut]
+        [treasuryCut - referralTotal - jackpotContribution]
+      );
+    }
+
+    if (!isRoom) jackpotPool = await addToJackpot(round.table_key, jackpotContribution);
+    if (jackpot.hit && winTotalQty > 0 && jackpotPool > 0) {
+      for (const w of winners.rows) {
+        const amount = (jackpotPool * Number(w.qty)) / winTotalQty;
+        if (amount <= 0) continue;
+        await creditGePayout(round.id, w.wallet, amount, "jackpot");
+      }
+      jackpotPaid = jackpotPool;
+      jackpotPool = await addToJackpot(round.table_key, -jackpotPaid);
+    }
+    await tx(
+      `UPDATE ge_rounds SET jackpot_contribution=$2, jackpot_odds=$3, jackpot_hit=$4, jackpot_paid=$5 WHERE id=$1`,
+      [round.id, jackpotContribution, jackpotOdds, jackpot.hit, jackpotPaid]
+    );
+
+    // Host fee goes straight to the host's balance (not ge_payouts: it is not a winning)
+    if (hostFee > 0) {
+      await tx(
+        `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+         ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+        [round.host_wallet, hostFee]
+      );
+    }
+    if (isRoom) await tx(`UPDATE ge_rounds SET host_fee_paid=$2 WHERE id=$1`, [round.id, hostFee]);
+
+    // Referral shares go straight to the referrer's balance (not ge_payouts: they are not winnings)
+    for (const x of referralShares) {
+      await tx(
+        `INSERT INTO ge_referral_earnings (round_id, referrer, referee, amount) VALUES ($1,$2,$3,$4)`,
+        [round.id, x.referrer, x.referee, x.amount]
+      );
+      await tx(
+        `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+         ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
+        [x.referrer, x.amount]
       );
     }
 
@@ -2213,12 +5142,7 @@ async function settleRound(round) {
       if (q <= 0 || partTotalQty <= 0) continue;
       const amount = (participationPot * q) / partTotalQty;
       if (amount <= 0) continue;
-      await query(`INSERT INTO ge_payouts (round_id, wallet, amount) VALUES ($1,$2,$3)`, [round.id, p.wallet, amount]);
-      await query(
-        `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
-         ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
-        [p.wallet, amount]
-      );
+      await creditGePayout(round.id, p.wallet, amount, "participation");
     }
 
     // Winner payouts
@@ -2227,103 +5151,471 @@ async function settleRound(round) {
       if (q <= 0 || winTotalQty <= 0) continue;
       const amount = (winnerPot * q) / winTotalQty;
       if (amount <= 0) continue;
-      await query(`INSERT INTO ge_payouts (round_id, wallet, amount) VALUES ($1,$2,$3)`, [round.id, w.wallet, amount]);
-      await query(
-        `INSERT INTO ge_balances (wallet, balance) VALUES ($1,$2)
+      await creditGePayout(round.id, w.wallet, amount, "winner");
+    }
+    // Only real entries draw, so this needs a winning ship nobody paid for (i.e. an empty pot);
+    // should it ever happen, the house keeps the winner pot rather than it leaving the ledger.
+    if (winTotalQty <= 0 && winnerPot > 0) {
+      await tx(
+        `INSERT INTO ge_balances (wallet, balance) VALUES ('__treasury__', $1)
          ON CONFLICT (wallet) DO UPDATE SET balance = ge_balances.balance + EXCLUDED.balance, updated_at=NOW()`,
-        [w.wallet, amount]
+        [winnerPot]
       );
     }
 
-    await query("COMMIT");
-  } catch (e) {
-    await query("ROLLBACK");
-    throw e;
-  }
+    // With no real tickets the draw has nothing to pick from, so the markets are voided.
+    if (stats.realEntries > 0) {
+      const sideBets = await resolveSideMarkets(round.id, { winningShip, perShip: drawPerShip });
+      sideBetResult = { markets: sideBets.markets, staked: sideBets.staked, paid: sideBets.paid };
+    } else {
+      sideBetResult = { void: true, refunded: await refundSideBets(round.id) };
+    }
 
-  return {
+    // Elimination tier payouts (pro-rata by qty on the tier's ship)
+    for (const t of tiers) {
+      for (const w of t.entrants.rows) {
+        const amount = (t.pot * Number(w.qty)) / t.entrants.totalQty;
+        if (amount <= 0) continue;
+        await creditGePayout(round.id, w.wallet, amount, "tier");
+      }
+    }
+
+    // Private rooms are self-organised (a host can play against friends or alts): no leaderboards.
+    if (!isRoom) await applyRoundToLeaderboards(round.id, winningShip, upd.rows[0].settled_at || new Date());
+    return false;
+  });
+  if (alreadySettled) return { ok: true, already_settled: true, round_id: round.id };
+
+  const result = {
     ok: true,
+    table: round.table_key,
     round_id: round.id,
     winning_ship_index: winningShip,
     seed_commit: round.seed_commit || null,
     seed,
+    entries_root: entriesRoot,
     emissions_total: emissionsTotal,
     pot_sol: potSol,
+    host_fee: hostFee,
     winner_pot: winnerPot,
     participation_pot: participationPot,
     treasury_cut: treasuryCut,
+    referral_paid: referralTotal,
+    side_bets: sideBetResult,
+    jackpot: {
+      hit: jackpot.hit,
+      contribution: jackpotContribution,
+      paid: jackpotPaid,
+      pool: jackpotPool,
+    },
+    elimination_order: eliminationOrder,
+    race_timeline: raceTimeline,
+    tier_payouts: tiers.map((t) => ({ rank: t.rank, ship_index: t.ship_index, pot: t.pot })),
     ends_at: endsAt.toISOString(),
   };
+
+  return result;
 }
 
-app.post("/api/v2/ge/admin/settle", requireAdmin, async (req, res) => {
+app.post("/api/v2/ge/admin/settle", requireAdmin, resolveGeTable, async (req, res) => {
   try {
-    const round = await getCurrentRound();
+    const round = await getCurrentRound(req.geTable.table_key);
     if (!round) return res.status(400).json({ error: "No current round" });
     const out = await settleRound(round);
     if (!out.ok) return res.status(400).json(out);
     return res.json(out);
   } catch (e) {
-    console.error("POST /api/v2/ge/admin/settle error", e);
-    return res.status(500).json({ error: e.message });
+    console.error("POST /api/v2/ge/admin/settle error", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Manual nudge: settle the current round if it ended (the scheduler normally does this).
+app.post("/api/v2/ge/round/heartbeat", requireAdmin, resolveGeTable, async (req, res) => {
+  try {
+    const round = await getCurrentRound(req.geTable.table_key);
+    if (!round) return res.json({ ok: true, round: null });
+    if (round.status === 'running' && round.started_at && Date.now() >= new Date(round.ends_at).getTime()) {
+      const out = await settleRound(round);
+      return res.json(out);
+    }
+    return res.json({ ok: true, round_id: round.id, status: round.status });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Rebuild the leaderboard tables from scratch by replaying every settled round in order
+// (backfill for rounds settled before the tables existed, or after manual data fixes).
+app.post("/api/v2/ge/admin/leaderboards/rebuild", requireAdmin, async (_req, res) => {
+  try {
+    const rounds = await query(
+      `SELECT id, winning_ship_index, settled_at FROM ge_rounds
+       WHERE status='settled' AND table_key <> $1
+       ORDER BY id ASC`,
+      [GE_PRIVATE_TABLE]
+    );
+    await withTransaction(async (tx) => {
+      await tx(`DELETE FROM ge_wallet_daily_stats`);
+      await tx(`DELETE FROM ge_wallet_stats`);
+      for (const r of rounds.rows) {
+        await applyRoundToLeaderboards(r.id, Number(r.winning_ship_index ?? 0), r.settled_at || new Date());
+      }
+    });
+    res.json({ ok: true, rounds: rounds.rows.length });
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/leaderboards/rebuild error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/v2/ge/balance", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    const r = await query(`SELECT balance FROM ge_balances WHERE wallet=$1`, [wallet]);
+    const bal = r.rowCount ? Number(r.rows[0].balance) : 0;
+    res.json({ ok: true, wallet, balance: bal });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// --- GE withdrawals (internal ge_balances -> on-chain SOL) ---
+// Lifecycle: pending (quoted, nothing debited) -> debited (balance debited atomically)
+// -> sending (payout tx signed; signature persisted before broadcast) -> paid.
+// Retries of confirm-withdraw resume from whatever state a previous attempt (or crash) left behind.
+function geWithdrawalJson(w) {
+  return {
+    id: w.id,
+    status: w.status,
+    amount_sol: Number(w.amount_sol),
+    lamports: Number(w.lamports),
+    tx_signature: w.tx_signature || null,
+    created_at: w.created_at,
+    paid_at: w.paid_at || null,
+  };
+}
+
+async function processGeWithdrawal(w) {
+  // Resolve the payer up front so a misconfigured key never takes the sending lease.
+  const payer = getGeTreasuryKeypair();
+  const rpc = new Connection(RPC_URL, "confirmed");
+
+  if (w.status === "sending") {
+    if (w.tx_signature) {
+      const st = await rpc.getSignatureStatus(w.tx_signature, { searchTransactionHistory: true });
+      const v = st?.value;
+      const landed = v && !v.err && ["confirmed", "finalized"].includes(v.confirmationStatus);
+      if (landed) {
+        await query(
+          `UPDATE ge_withdrawals SET status='paid', paid_at=NOW() WHERE id=$1 AND status='sending'`,
+          [w.id]
+        );
+        return { ok: true, signature: w.tx_signature };
+      }
+
+      // Not landed (or failed on-chain). Only re-send once the old tx can no longer land.
+      if (!v?.err) {
+        const height = await rpc.getBlockHeight("confirmed");
+        if (height <= Number(w.last_valid_block_height || 0)) {
+          return { ok: false, pending: true, signature: w.tx_signature };
+        }
+      }
+
+      const reset = await query(
+        `UPDATE ge_withdrawals
+         SET tx_signature=NULL, last_valid_block_height=NULL, attempt_at=NOW()
+         WHERE id=$1 AND status='sending' AND tx_signature=$2`,
+        [w.id, w.tx_signature]
+      );
+      if (reset.rowCount === 0) return { ok: false, pending: true };
+    } else {
+      // Another attempt holds the lease (or crashed before signing). Take over only after it expires.
+      const leaseCutoff = new Date(Date.now() - GE_WITHDRAW_LEASE_MS);
+      const takeover = await query(
+        `UPDATE ge_withdrawals
+         SET attempt_at=NOW()
+         WHERE id=$1 AND status='sending' AND tx_signature IS NULL AND attempt_at < $2`,
+        [w.id, leaseCutoff]
+      );
+      if (takeover.rowCount === 0) return { ok: false, pending: true };
+    }
+  } else if (w.status === "debited") {
+    const claim = await query(
+      `UPDATE ge_withdrawals
+       SET status='sending', attempt_at=NOW()
+       WHERE id=$1 AND status='debited'`,
+      [w.id]
+    );
+    if (claim.rowCount === 0) return { ok: false, pending: true };
+  } else {
+    return { ok: false, error: `unexpected status ${w.status}` };
+  }
+
+  const signature = await sendSolPayout({
+    rpcUrl: RPC_URL,
+    toPubkey: w.wallet,
+    lamports: Number(w.lamports),
+    payer,
+    onSigned: async ({ signature: sig, lastValidBlockHeight }) => {
+      await query(
+        `UPDATE ge_withdrawals
+         SET tx_signature=$2, last_valid_block_height=$3
+         WHERE id=$1 AND status='sending'`,
+        [w.id, sig, lastValidBlockHeight]
+      );
+    },
+  });
+
+  await query(
+    `UPDATE ge_withdrawals SET status='paid', paid_at=NOW() WHERE id=$1 AND status='sending'`,
+    [w.id]
+  );
+  return { ok: true, signature };
+}
+
+app.post("/api/v2/ge/withdraw-intent", requireAuth, async (req, res) => {
+  try {
+    const wallet = req.auth?.wallet;
+    if (!wallet) return res.status(401).json({ error: "Unauthorized" });
+    if (isGeBotWallet(wallet)) return res.status(403).json({ error: "Bot balances are not withdrawable" });
+    if (!isProbableSolanaAddress(wallet)) return res.status(400).json({ error: "Invalid wallet address" });
+
+    const r = await query(`SELECT balance FROM ge_balances WHERE wallet=$1`, [wallet]);
+    const balance = r.rowCount ? Number(r.rows[0].balance) : 0;
+    if (balance <= 0) return res.status(400).json({ error: "Nothing to withdraw", balance });
+
+    // Default: withdraw the full balance.
+    const requested = req.body?.amount_sol != null ? Number(req.body.amount_sol) : balance;
+    if (!Number.isFinite(requested) || requested <= 0) return res.status(400).json({ error: "Invalid amount" });
+    if (requested > balance) {
+      return res.status(400).json({ error: "Insufficient balance", balance });
+    }
+    if (requested < GE_MIN_WITHDRAW_SOL) {
+      return res.status(400).json({ error: "Amount below minimum", min_sol: GE_MIN_WITHDRAW_SOL });
+    }
+
+    // Round *down* to whole lamports so we never pay out more than was debited.
+    const lamports = Math.floor(requested * 1e9);
+    const amountSol = lamportsToSol(lamports);
+
+    const intentId = nanoid(24);
+    const expiresAt = new Date(Date.now() + GE_WITHDRAW_INTENT_TTL_MS);
+    await query(
+      `INSERT INTO ge_withdrawals (id, wallet, amount_sol, lamports, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [intentId, wallet, amountSol, String(lamports), expiresAt]
+    );
+
+    return res.json({
+      ok: true,
+      intentId,
+      amountSol,
+      lamports,
+      balance,
+      expiresAt: expiresAt.toISOString(),
+      to: wallet,
+      from: GE_TREASURY_WALLET || null,
+    });
+  } catch (e) {
+    console.error("POST /api/v2/ge/withdraw-intent error", e);
+    res.status(500).json({ error: e.message });
   }
 });
 
-// Auto-settle: if the current round ended, any client poll will finalize it once.
-app.post("/api/v2/ge/round/heartbeat", requireAdmin, async (_req, res) => {
+app.post("/api/v2/ge/confirm-withdraw", requireAuth, async (req, res) => {
   try {
-    const round = await getCurrentRound();
-    if (!round) return res.json({ ok: true, round: null });
-    if (round.status === 'running' && round.started_at && Date.now() >= new Date(round.ends_at).getTime()) {
-      const out = await settleRound(round);
-      return res.json(out);
+    const { intentId } = req.body || {};
+    const wallet = req.auth?.wallet;
+    if (!wallet || !intentId) return res.status(400).json({ error: "missing fields" });
+
+    const wRes = await query(`SELECT * FROM ge_withdrawals WHERE id=$1`, [intentId]);
+    if (wRes.rowCount === 0) return res.status(400).json({ error: "invalid intent" });
+    let w = wRes.rows[0];
+
+    if (w.wallet !== wallet) return res.status(403).json({ error: "intent wallet mismatch" });
+
+    if (w.status === "paid") {
+      return res.json({ ok: true, signature: w.tx_signature, alreadyPaid: true });
     }
-    return res.json({ ok: true, round_id: round.id, status: round.status });
+
+    if (w.status === "pending") {
+      if (new Date(w.expires_at).getTime() < Date.now()) return res.status(410).json({ error: "intent expired" });
+
+      const lamports = Number(w.lamports);
+      if (!Number.isFinite(lamports) || lamports <= 0) {
+        return res.status(400).json({ error: "invalid lamports" });
+      }
+
+      // Debit first (atomically with the state change); the payout happens afterwards and is retryable.
+      const debited = await withTransaction(async (tx) => {
+        const claimed = await tx(
+          `UPDATE ge_withdrawals SET status='debited', debited_at=NOW()
+           WHERE id=$1 AND status='pending'
+           RETURNING *`,
+          [intentId]
+        );
+        if (claimed.rowCount === 0) {
+          await tx.rollback();
+          return { status: 409, error: "withdrawal already in progress" };
+        }
+
+        const debit = await tx(
+          `UPDATE ge_balances
+           SET balance = balance - $2, updated_at=NOW()
+           WHERE wallet=$1 AND balance >= $2
+           RETURNING balance`,
+          [wallet, Number(w.amount_sol)]
+        );
+        if (debit.rowCount === 0) {
+          await tx.rollback();
+          return { status: 400, error: "Insufficient balance" };
+        }
+        return { withdrawal: claimed.rows[0] };
+      });
+      if (debited.error) return res.status(debited.status).json({ error: debited.error });
+      w = debited.withdrawal;
+    }
+
+    const out = await processGeWithdrawal(w);
+    if (out.pending) {
+      return res.status(202).json({ ok: false, pending: true, signature: out.signature || null });
+    }
+    if (!out.ok) return res.status(500).json({ error: out.error });
+
+    return res.json({ ok: true, signature: out.signature });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    console.error("POST /api/v2/ge/confirm-withdraw error", e);
+    res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/v2/ge/balance", requireAuth, async (req, res) => {
+app.get("/api/v2/ge/withdrawals", requireAuth, async (req, res) => {
   try {
     const wallet = req.auth?.wallet;
-    const r = await query(`SELECT balance FROM ge_balances WHERE wallet=$1`, [wallet]);
-    const bal = r.rowCount ? Number(r.rows[0].balance) : 0;
-    res.json({ ok: true, wallet, balance: bal });
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit || 20)));
+    const r = await query(
+      `SELECT * FROM ge_withdrawals
+       WHERE wallet=$1 AND status <> 'pending'
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [wallet, limit]
+    );
+    res.json({ ok: true, withdrawals: r.rows.map(geWithdrawalJson) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get("/api/v2/ge/last", async (_req, res) => {
+app.get("/api/v2/ge/last", resolveGeTable, async (req, res) => {
   try {
-    const r = await query(`SELECT id, settled_at, winning_ship_index, emissions_total, seed, alien_ids, game_mode FROM ge_rounds WHERE status='settled' ORDER BY id DESC LIMIT 1`);
+    const r = await query(
+      `SELECT id, table_key AS table, settled_at, winning_ship_index, emissions_total, seed, alien_ids, game_mode
+       FROM ge_rounds WHERE table_key=$1 AND status='settled' ORDER BY id DESC LIMIT 1`,
+      [req.geTable.table_key]
+    );
     res.json({ ok: true, last: r.rows[0] || null });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// Settled round history (newest first). Cursor is the last round id of the previous page.
+app.get("/api/v2/ge/rounds", resolveGeTable, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    const cursor = req.query.cursor ? Number(req.query.cursor) : null;
+    if (cursor !== null && (!Number.isInteger(cursor) || cursor <= 0)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    const gameMode = req.query.game_mode ? String(req.query.game_mode) : null;
+    if (gameMode && !GE_GAME_MODES.includes(gameMode)) {
+      return res.status(400).json({ error: "Invalid game_mode" });
+    }
+
+    const where = [`status='settled'`, `table_key=$1`];
+    const params = [req.geTable.table_key];
+    if (cursor !== null) {
+      params.push(cursor);
+      where.push(`id < $${params.length}`);
+    }
+    if (gameMode) {
+      params.push(gameMode);
+      where.push(`game_mode = $${params.length}`);
+    }
+    params.push(limit);
+
+    const r = await query(
+      `SELECT id, game_mode, ends_at, settled_at, winning_ship_index, emissions_total,
+              alien_ids, seed_commit, seed_reveal, seed
+       FROM ge_rounds
+       WHERE ${where.join(" AND ")}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    const rounds = r.rows;
+
+    // Participant/entry counts for just this page (bounded by the page's id range).
+    const counts = rounds.length > 0
+      ? await getGeParticipantCounts(rounds[rounds.length - 1].id, rounds[0].id)
+      : new Map();
+
+    res.json({
+      ok: true,
+      table: req.geTable.table_key,
+      rounds: rounds.map((round) => {
+        let alienIds = null;
+        try { alienIds = round.alien_ids ? JSON.parse(round.alien_ids) : null; } catch {}
+        const winIndex = round.winning_ship_index ?? null;
+        const c = counts.get(Number(round.id));
+        return {
+          id: round.id,
+          game_mode: round.game_mode || "roulette",
+          ends_at: round.ends_at,
+          settled_at: round.settled_at,
+          winning_ship_index: winIndex,
+          winning_alien: Array.isArray(alienIds) && winIndex !== null ? alienIds[winIndex] ?? null : null,
+          pot_sol: Number(round.emissions_total || 0),
+          participants: c?.participants || 0,
+          total_entries: c?.entries || 0,
+          bot_participants: c?.bot_participants || 0,
+          bot_entries: c?.bot_entries || 0,
+          seed_commit: round.seed_commit ?? null,
+          seed_reveal: round.seed_reveal ?? null,
+          seed: round.seed ?? null,
+        };
+      }),
+      next_cursor: rounds.length === limit ? rounds[rounds.length - 1].id : null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Settled round summary (for winner modal / stats)
-app.get("/api/v2/ge/round/summary", async (_req, res) => {
+app.get("/api/v2/ge/round/summary", resolveGeTable, async (req, res) => {
   try {
     const roundIdParam = req.query.round_id ? Number(req.query.round_id) : null;
     const r = roundIdParam
       ? await query(`SELECT * FROM ge_rounds WHERE id=$1 AND status='settled' LIMIT 1`, [roundIdParam])
-      : await query(`SELECT * FROM ge_rounds WHERE status='settled' ORDER BY id DESC LIMIT 1`);
+      : await query(
+        `SELECT * FROM ge_rounds WHERE table_key=$1 AND status='settled' ORDER BY id DESC LIMIT 1`,
+        [req.geTable.table_key]
+      );
     const round = r.rows[0];
     if (!round) return res.json({ ok: true, round: null });
+    if (!canSeeRound(req, round)) return res.status(404).json({ error: "Round not found" });
 
-    const stats = await getRoundStats(round.id);
-    const potSol = Number(stats.totalEntries) * GE_ENTRY_PRICE_SOL;
-    const treasuryCut = (potSol * GE_TREASURY_BPS) / 10000;
-    const winnerPot = (potSol * GE_WINNER_BPS) / 10000;
-    const participationPot = (potSol * GE_PARTICIPATION_BPS) / 10000;
+    const cfg = geRoundConfig(round);
+    const stats = await getRoundStats(round.id, cfg.shipsCount);
+    const potSol = await getRoundPotSol(round.id, cfg);
+    const hostFee = geHostFee(round, potSol);
+    const treasuryCut = ((potSol - hostFee) * cfg.treasuryBps) / 10000;
+    const winnerPot = ((potSol - hostFee) * cfg.winnerBps) / 10000;
+    const participationPot = ((potSol - hostFee) * cfg.participationBps) / 10000;
 
-    const participantsCount = await query(
-      `SELECT COUNT(DISTINCT wallet) AS c FROM ge_entries WHERE round_id=$1`,
-      [round.id]
-    );
+    const counts = (await getGeParticipantCounts(round.id, round.id)).get(Number(round.id));
     const payoutsSum = await query(
       `SELECT COALESCE(SUM(amount),0) AS s FROM ge_payouts WHERE round_id=$1`,
       [round.id]
@@ -2338,16 +5630,31 @@ app.get("/api/v2/ge/round/summary", async (_req, res) => {
       ok: true,
       round: {
         id: round.id,
+        table: round.table_key,
         game_mode: round.game_mode || "roulette",
         winning_index: winIndex,
         winner_alien: winnerAlien,
         settled_at: round.settled_at,
+        elimination_order: geRoundJson(round).elimination_order,
+        elimination_tier_bps: round.game_mode === "elimination" ? parseTierBps(round.elimination_tier_bps) : [],
+        race_timeline: geRoundJson(round).race_timeline,
+        entries_root: round.entries_root ?? null,
+      },
+      jackpot: {
+        hit: round.jackpot_hit ?? null,
+        contribution: Number(round.jackpot_contribution || 0),
+        paid: Number(round.jackpot_paid || 0),
       },
       pot_sol: potSol,
+      host_fee: hostFee,
       winner_pot: winnerPot,
       participation_pot: participationPot,
       treasury_cut: treasuryCut,
-      participants: Number(participantsCount.rows[0]?.c || 0),
+      participants: counts?.participants || 0,
+      bots: {
+        participants: counts?.bot_participants || 0,
+        entries: counts?.bot_entries || 0,
+      },
       distributed_total: Number(payoutsSum.rows[0]?.s || 0),
     });
   } catch (e) {
@@ -2355,15 +5662,22 @@ app.get("/api/v2/ge/round/summary", async (_req, res) => {
   }
 });
 
-app.get("/api/v2/ge/round/payouts", async (req, res) => {
+app.get("/api/v2/ge/round/payouts", resolveGeTable, async (req, res) => {
   try {
     const limit = Math.max(1, Math.min(50, Number(req.query.limit || 20)));
     const roundIdParam = req.query.round_id ? Number(req.query.round_id) : null;
     const r = roundIdParam
-      ? await query(`SELECT id FROM ge_rounds WHERE id=$1 AND status='settled' LIMIT 1`, [roundIdParam])
-      : await query(`SELECT id FROM ge_rounds WHERE status='settled' ORDER BY id DESC LIMIT 1`);
+      ? await query(
+        `SELECT id, table_key, invite_code FROM ge_rounds WHERE id=$1 AND status='settled' LIMIT 1`,
+        [roundIdParam]
+      )
+      : await query(
+        `SELECT id, table_key, invite_code FROM ge_rounds WHERE table_key=$1 AND status='settled' ORDER BY id DESC LIMIT 1`,
+        [req.geTable.table_key]
+      );
     const round = r.rows[0];
     if (!round) return res.json({ ok: true, round_id: null, payouts: [] });
+    if (!canSeeRound(req, round)) return res.status(404).json({ error: "Round not found" });
 
     const rows = await query(
       `SELECT p.wallet, p.amount,
@@ -2395,6 +5709,510 @@ app.get("/api/v2/ge/round/payouts", async (req, res) => {
   }
 });
 
+// Leaderboards over the materialized ge_wallet_stats / ge_wallet_daily_stats tables.
+// period: daily (current UTC day) | weekly (since Monday 00:00 UTC) | all
+// board: winners (SOL won) | entries | biggest_win (largest single-round payout) | streak (best win streak)
+const GE_LEADERBOARD_BOARDS = {
+  winners: { daily: "SUM(sol_won)", all: "sol_won" },
+  entries: { daily: "SUM(entries)", all: "entries" },
+  biggest_win: { daily: "MAX(biggest_win)", all: "biggest_win" },
+  streak: { daily: "MAX(best_streak)", all: "best_streak" },
+};
+
+function geLeaderboardSince(period, now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === "weekly") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+app.get("/api/v2/ge/leaderboard", async (req, res) => {
+  try {
+    const period = String(req.query.period || "daily");
+    const board = String(req.query.board || "winners");
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    if (!["daily", "weekly", "all"].includes(period)) return res.status(400).json({ error: "Invalid period" });
+    const metric = GE_LEADERBOARD_BOARDS[board];
+    if (!metric) return res.status(400).json({ error: "Invalid board" });
+
+    let rows;
+    let since = null;
+    if (period === "all") {
+      const r = await query(
+        `SELECT wallet, ${metric.all} AS value, entries, rounds_played, rounds_won, sol_won, biggest_win, best_streak
+         FROM ge_wallet_stats
+         WHERE ${metric.all} > 0
+         ORDER BY value DESC, wallet ASC
+         LIMIT $1`,
+        [limit]
+      );
+      rows = r.rows;
+    } else {
+      since = geLeaderboardSince(period);
+      const r = await query(
+        `SELECT wallet, ${metric.daily} AS value,
+                SUM(entries) AS entries, SUM(rounds_played) AS rounds_played, SUM(rounds_won) AS rounds_won,
+                SUM(sol_won) AS sol_won, MAX(biggest_win) AS biggest_win, MAX(best_streak) AS best_streak
+         FROM ge_wallet_daily_stats
+         WHERE day >= $1
+         GROUP BY wallet
+         ORDER BY value DESC, wallet ASC
+         LIMIT $2`,
+        [since, limit]
+      );
+      // zero rows sort last, so dropping them after LIMIT keeps the ranking intact
+      rows = r.rows.filter((x) => Number(x.value) > 0);
+    }
+
+    res.json({
+      ok: true,
+      period,
+      board,
+      since,
+      leaderboard: rows.map((x, i) => ({
+        rank: i + 1,
+        wallet: x.wallet,
+        value: Number(x.value),
+        entries: Number(x.entries || 0),
+        rounds_played: Number(x.rounds_played || 0),
+        rounds_won: Number(x.rounds_won || 0),
+        sol_won: Number(x.sol_won || 0),
+        biggest_win: Number(x.biggest_win || 0),
+        best_streak: Number(x.best_streak || 0),
+      })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Race replay: the seed-derived timeline every client renders for a settled race round.
+app.get("/api/v2/ge/round/:id/race", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId) || roundId <= 0) return res.status(400).json({ error: "Invalid round id" });
+
+    const r = await query(
+      `SELECT id, table_key, invite_code, status, game_mode, winning_ship_index, race_timeline FROM ge_rounds WHERE id=$1`,
+      [roundId]
+    );
+    const round = r.rows[0];
+    if (!round || !canSeeRound(req, round)) return res.status(404).json({ error: "Round not found" });
+    if ((round.game_mode || "roulette") !== "race") return res.status(400).json({ error: "Not a race round" });
+    if (round.status !== "settled") return res.status(409).json({ error: "Round not settled yet" });
+
+    const timeline = geRoundJson(round).race_timeline;
+    if (!timeline) return res.status(404).json({ error: "Race timeline not available" });
+
+    res.json({
+      ok: true,
+      table: round.table_key,
+      round_id: round.id,
+      winning_ship_index: round.winning_ship_index ?? null,
+      ...timeline,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Provably-fair verification: everything needed to recompute the winner independently.
+// Only available after settlement (seed_reveal must stay secret while entries are open).
+app.get("/api/v2/ge/round/:id/verify", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId) || roundId <= 0) return res.status(400).json({ error: "Invalid round id" });
+
+    const r = await query(`SELECT * FROM ge_rounds WHERE id=$1`, [roundId]);
+    const round = r.rows[0];
+    if (!round || !canSeeRound(req, round)) return res.status(404).json({ error: "Round not found" });
+    if (round.status !== "settled") return res.status(409).json({ error: "Round not settled yet" });
+
+    // Prefer the snapshot frozen at settlement; fall back to live entries for rounds settled before it existed.
+    let perShipQty = null;
+    try { perShipQty = round.entries_snapshot ? JSON.parse(round.entries_snapshot) : null; } catch {}
+    if (!Array.isArray(perShipQty)) {
+      const stats = await getRoundStats(round.id, geRoundConfig(round).shipsCount);
+      perShipQty = geDrawPerShip(stats).map((x) => x.qty);
+    }
+    const perShip = perShipQty.map((qty, i) => ({ ship_index: i, qty: Number(qty) }));
+    const totalEntries = perShip.reduce((a, b) => a + b.qty, 0);
+
+    const secret = round.seed_reveal;
+    const { input, seed } = deriveRoundSeed({
+      secret,
+      roundId: round.id,
+      endsAt: round.ends_at,
+      totalEntries,
+      entriesRoot: round.entries_root,
+    });
+    const entriesRoot = round.entries_root
+      ? merkleRoot((await getRoundEntryLeaves(round.id)).map((x) => x.leaf))
+      : null;
+    const { ticket, winningShip } = pickWinningShip({ seed, perShip });
+    const jackpot = round.jackpot_odds != null
+      ? jackpotRoll({ seed, odds: Number(round.jackpot_odds) })
+      : null;
+    const commitOk = sha256Hex(secret) === round.seed_commit;
+    const sideMarkets = (await getRoundSideMarkets(round.id))
+      .filter((m) => m.status === "resolved")
+      .map((m) => {
+        const def = { kind: m.kind, params: JSON.parse(m.params) };
+        return { id: m.id, ...def, outcome: resolveMarket(def, { winningShip, perShip }), stored_outcome: m.outcome };
+      });
+    const eliminationOrder = round.game_mode === "elimination"
+      ? deriveEliminationOrder({ seed, shipsCount: perShip.length, winningShip })
+      : null;
+    const storedRace = geRoundJson(round).race_timeline;
+    const raceTimeline = round.game_mode === "race"
+      ? deriveRaceTimeline({
+          seed,
+          shipsCount: perShip.length,
+          winningShip,
+          checkpoints: storedRace?.checkpoints || GE_RACE_CHECKPOINTS,
+        })
+      : null;
+
+    res.json({
+      ok: true,
+      table: round.table_key,
+      round_id: round.id,
+      seed_commit: round.seed_commit,
+      seed_reveal: secret,
+      hash_inputs: {
+        secret,
+        round_id: round.id,
+        ends_at: new Date(round.ends_at).toISOString(),
+        total_entries: totalEntries,
+        entries_root: round.entries_root ?? null,
+        preimage: input,
+      },
+      seed,
+      per_ship: perShip,
+      total_entries: totalEntries,
+      ticket,
+      winning_ship_index: winningShip,
+      elimination_order: eliminationOrder,
+      race_timeline: raceTimeline,
+      jackpot: jackpot ? { odds: Number(round.jackpot_odds), ...jackpot } : null,
+      side_markets: sideMarkets,
+      stored: {
+        seed: round.seed,
+        winning_ship_index: round.winning_ship_index ?? null,
+        ticket: round.ticket ?? null,
+        elimination_order: geRoundJson(round).elimination_order,
+        race_timeline: storedRace,
+        jackpot_hit: round.jackpot_hit ?? null,
+      },
+      checks: {
+        commit_matches: commitOk,
+        seed_matches: seed === round.seed,
+        winner_matches: winningShip === Number(round.winning_ship_index),
+        elimination_matches: eliminationOrder
+          ? JSON.stringify(eliminationOrder) === round.elimination_order
+          : null,
+        race_matches: raceTimeline
+          ? JSON.stringify(raceTimeline) === round.race_timeline
+          : null,
+        entries_root_matches: entriesRoot ? entriesRoot === round.entries_root : null,
+        jackpot_matches: jackpot ? jackpot.hit === round.jackpot_hit : null,
+        side_markets_match: sideMarkets.length
+          ? sideMarkets.every((m) => m.outcome === m.stored_outcome)
+          : null,
+      },
+      algorithm: {
+        commit: "seed_commit = sha256_hex(seed_reveal)",
+        seed: "seed = sha256_hex(`${seed_reveal}:${round_id}:${ends_at_iso}:${total_entries}:${entries_root}`) (no `:${entries_root}` suffix on rounds without one)",
+        entries_root:
+          "leaf = sha256_hex(`ge_entry:${round_id}:${entry_id}:${wallet}:${ship_index}:${qty}`) in entry id order; parent = sha256_hex(left + right), unpaired node carried up; no entries = sha256_hex('')",
+        ticket: "ticket = parseInt(seed.slice(0, 12), 16) % total_entries",
+        winner: "first ship_index (ascending) whose cumulative qty > ticket; ship 0 if no entries",
+        elimination:
+          "non-winning ships in index order, Fisher-Yates from the end with j = parseInt(sha256_hex(`${seed}:elim:${i}`).slice(0, 12), 16) % (i + 1); winner appended last",
+        jackpot:
+          "roll = parseInt(sha256_hex(`${seed}:jackpot:0`).slice(0, 12), 16) % jackpot_odds; hit when roll === 0",
+        side_markets:
+          "ship_range: from <= winning_ship_index <= to; winner_entries_below: per_ship[winning_ship_index].qty < n",
+        race:
+          "step[ship][cp] = parseInt(sha256_hex(`${seed}:race:${ship}:${cp}`).slice(0, 12), 16) % 100 + 1, cumulated per ship; winner scaled to finish (1000) at the last checkpoint, others to floor(final / max_other_final * 999 * 0.98)",
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Merkle inclusion proofs for one wallet's entries against the root committed at cutoff.
+// Available as soon as the root exists (entry writes are refused from then on, see
+// lockRoundForEntries), i.e. before settlement.
+app.get("/api/v2/ge/round/:id/proof", async (req, res) => {
+  try {
+    const roundId = Number(req.params.id);
+    if (!Number.isInteger(roundId) || roundId <= 0) return res.status(400).json({ error: "Invalid round id" });
+    const wallet = String(req.query.wallet || "").trim();
+    if (!wallet) return res.status(400).json({ error: "wallet is required" });
+
+    const r = await query(
+      `SELECT id, table_key, invite_code, status, entries_root, entries_root_at FROM ge_rounds WHERE id=$1`,
+      [roundId]
+    );
+    const round = r.rows[0];
+    if (!round || !canSeeRound(req, round)) return res.status(404).json({ error: "Round not found" });
+    if (!round.entries_root) return res.status(409).json({ error: "Entries not committed yet" });
+
+    const entries = await getRoundEntryLeaves(round.id);
+    const levels = buildMerkleTree(entries.map((x) => x.leaf));
+    const root = levels[levels.length - 1][0];
+
+    const proofs = [];
+    entries.forEach((x, leafIndex) => {
+      if (x.wallet !== wallet) return;
+      const proof = merkleProof(levels, leafIndex);
+      proofs.push({
+        entry_id: x.id,
+        ship_index: x.ship_index,
+        qty: x.qty,
+        leaf_index: leafIndex,
+        leaf: x.leaf,
+        proof,
+        verified: verifyMerkleProof({ leaf: x.leaf, proof, root: round.entries_root }),
+      });
+    });
+
+    res.json({
+      ok: true,
+      table: round.table_key,
+      round_id: round.id,
+      status: round.status,
+      wallet,
+      entries_root: round.entries_root,
+      entries_root_at: round.entries_root_at,
+      root_matches: root === round.entries_root,
+      leaf_count: entries.length,
+      entries: proofs,
+      algorithm: {
+        leaf: "sha256_hex(`ge_entry:${round_id}:${entry_id}:${wallet}:${ship_index}:${qty}`)",
+        proof: "bottom-up; h = position === 'left' ? sha256_hex(hash + h) : sha256_hex(h + hash); valid if h === entries_root",
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ===== Treasury reconciliation =====
+// Compares the internal ledger with the SOL actually held by ADMIN_WALLET / GE_TREASURY_WALLET
+// (see src/reconcile.js). Point GE_RECONCILE_RPC_URL at a local validator to exercise it offline.
+const GE_RECONCILE_RPC_URL = process.env.GE_RECONCILE_RPC_URL || RPC_URL;
+const GE_RECONCILE_INTERVAL_MS = Number(process.env.GE_RECONCILE_INTERVAL_MS || 0); // 0 = job off
+const GE_RECONCILE_TOLERANCE_SOL = Number(process.env.GE_RECONCILE_TOLERANCE_SOL || 0.001);
+
+async function runTreasuryReconciliation({ connection } = {}) {
+  const report = await reconcileTreasury({
+    query,
+    connection: connection || new Connection(GE_RECONCILE_RPC_URL, "confirmed"),
+    adminWallet: ADMIN_WALLET,
+    geTreasuryWallet: GE_TREASURY_WALLET,
+    creditPriceSol: GE_CREDIT_PRICE_SOL,
+    toleranceSol: GE_RECONCILE_TOLERANCE_SOL,
+  });
+  const ins = await query(
+    `INSERT INTO treasury_reconciliations (ok, report) VALUES ($1,$2) RETURNING id`,
+    [report.ok, JSON.stringify(report)]
+  );
+  if (report.flags.length) {
+    console.warn("[treasury] reconciliation flags", JSON.stringify(report.flags));
+  }
+  return { id: ins.rows[0]?.id ?? null, ...report };
+}
+
+app.post("/api/v2/ge/admin/reconcile", requireAdmin, async (_req, res) => {
+  try {
+    if (!ADMIN_WALLET && !GE_TREASURY_WALLET) {
+      return res.status(500).json({ error: "Server misconfigured (no treasury wallet)" });
+    }
+    res.json(await runTreasuryReconciliation());
+  } catch (e) {
+    console.error("POST /api/v2/ge/admin/reconcile error", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/api/v2/ge/admin/reconcile", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    const r = await query(
+      `SELECT id, ok, report, created_at FROM treasury_reconciliations ORDER BY id DESC LIMIT $1`,
+      [limit]
+    );
+    res.json({
+      ok: true,
+      reports: r.rows.map((x) => {
+        let report = null;
+        try { report = JSON.parse(x.report); } catch {}
+        return { id: x.id, ok: x.ok, created_at: x.created_at, ...report };
+      }),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+function startTreasuryReconciler() {
+  if (!(GE_RECONCILE_INTERVAL_MS > 0) || (!ADMIN_WALLET && !GE_TREASURY_WALLET)) return;
+  console.log(`🏦 Treasury reconciliation every ${GE_RECONCILE_INTERVAL_MS}ms`);
+  setInterval(() => {
+    runTreasuryReconciliation().catch((e) =>
+      console.warn("[treasury] reconciliation failed", e?.message || e)
+    );
+  }, GE_RECONCILE_INTERVAL_MS);
+}
+
+// ===== GE round scheduler =====
+// Owns the round state machine: filling -> running -> (cutoff) -> settled -> next round.
+// A session-level Postgres advisory lock elects a single leader across instances;
+// the others keep probing so one takes over if the leader goes away.
+const GE_SCHEDULER_TICK_MS = Number(process.env.GE_SCHEDULER_TICK_MS || 1000);
+const GE_SCHEDULER_LOCK_KEY = 0x5a45_0001; // "ZE" + 1, arbitrary but stable
+// table_key -> { roundId, cutoffSent }
+const geSchedulerSeen = new Map();
+
+function geResultHoldMs(round) {
+  // Keep settled rounds longer for animation-heavy modes so mobile can finish.
+  const mode = round.game_mode || "roulette";
+  return mode === "elimination" ? 12000 :
+    mode === "race" ? 8000 :
+    Number(process.env.GE_SHOW_RESULT_MS || 6000);
+}
+
+// Tables the scheduler drives: every active table, plus inactive ones whose round is still live
+// (it gets settled, but no new round follows).
+async function getScheduledGeTables() {
+  const r = await query(
+    `SELECT * FROM ge_tables
+     WHERE active=TRUE
+        OR table_key IN (SELECT table_key FROM ge_rounds WHERE status IN ('filling','running'))
+     ORDER BY sort_order, table_key`
+  );
+  return r.rows;
+}
+
+async function geSchedulerTick() {
+  for (const table of await getScheduledGeTables()) {
+    try {
+      await geSchedulerTableTick(table);
+    } catch (e) {
+      // one broken table must not stall the others
+      console.warn(`[ge] scheduler tick failed for table ${table.table_key}`, e?.message || e);
+    }
+  }
+  await geSchedulerRoomsTick();
+}
+
+// Private rooms: commit entries at cutoff and settle when they end; no follow-up round.
+async function geSchedulerRoomsTick() {
+  const r = await query(
+    `SELECT * FROM ge_rounds WHERE table_key=$1 AND status='running' ORDER BY id`,
+    [GE_PRIVATE_TABLE]
+  );
+  const now = Date.now();
+  for (const round of r.rows) {
+    try {
+      const endsAt = new Date(round.ends_at).getTime();
+      if (!round.entries_root && now > endsAt - geRoundConfig(round).entryCutoffMs) {
+        const entriesRoot = await commitEntriesRoot(round.id);
+        if (entriesRoot) {
+          publishGe("cutoff", { table: GE_PRIVATE_TABLE, round_id: round.id, ends_at: round.ends_at, entries_root: entriesRoot });
+        }
+      }
+      if (round.started_at && now >= endsAt) await settleRound(round);
+    } catch (e) {
+      console.warn(`[ge] scheduler tick failed for room ${round.id}`, e?.message || e);
+    }
+  }
+}
+
+async function geSchedulerTableTick(table) {
+  const now = Date.now();
+  const round = await getCurrentRound(table.table_key);
+
+  if (!round) {
+    if (table.active) await createRound({ table });
+    return;
+  }
+
+  let seen = geSchedulerSeen.get(table.table_key);
+  if (!seen || seen.roundId !== round.id) {
+    seen = { roundId: round.id, cutoffSent: false };
+    geSchedulerSeen.set(table.table_key, seen);
+  }
+
+  if (round.status === "filling") {
+    if (new Date(round.starts_at).getTime() <= now) {
+      const r = await query(
+        `UPDATE ge_rounds SET status='running', started_at=NOW()
+         WHERE id=$1 AND status='filling'
+         RETURNING *`,
+        [round.id]
+      );
+      if (r.rowCount) publishGe("round_started", { table: table.table_key, round: geRoundJson(r.rows[0]) });
+    }
+    return;
+  }
+
+  if (round.status === "running") {
+    const endsAt = new Date(round.ends_at).getTime();
+    if (!seen.cutoffSent && now > endsAt - geRoundConfig(round).entryCutoffMs) {
+      seen.cutoffSent = true;
+      const entriesRoot = await commitEntriesRoot(round.id);
+      if (entriesRoot) {
+        publishGe("cutoff", { table: round.table_key, round_id: round.id, ends_at: round.ends_at, entries_root: entriesRoot });
+      }
+    }
+    if (round.started_at && now >= endsAt) {
+      await settleRound(round);
+    }
+    return;
+  }
+
+  if (round.status === "settled") {
+    const settledAt = round.settled_at ? new Date(round.settled_at).getTime() : 0;
+    if (table.active && (!settledAt || now - settledAt > geResultHoldMs(round))) {
+      await createRound({ table });
+    }
+  }
+}
+
+function startGreatExpeditionScheduler() {
+  if (["0", "false", "off"].includes((process.env.GE_SCHEDULER || "").toLowerCase())) {
+    console.log("🛰️  GE scheduler disabled (GE_SCHEDULER=off)");
+    return;
+  }
+
+  let lock = null;
+  let busy = false;
+
+  setInterval(async () => {
+    if (busy) return; // never overlap ticks
+    busy = true;
+    try {
+      if (lock && !(await lock.alive())) {
+        console.warn("🛰️  GE scheduler lost leadership");
+        lock = null;
+      }
+      if (!lock) {
+        lock = await tryAdvisoryLock(GE_SCHEDULER_LOCK_KEY);
+        if (lock) console.log("🛰️  GE scheduler acquired leadership");
+      }
+      if (lock) await geSchedulerTick();
+    } catch (e) {
+      // don't crash the process; next tick retries
+      console.warn("[ge] scheduler tick failed", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  }, GE_SCHEDULER_TICK_MS);
+}
+
 function startGreatExpeditionSimulator() {
   if (process.env.GE_SIMULATOR !== "1") return;
 
@@ -2404,46 +6222,86 @@ function startGreatExpeditionSimulator() {
   const intervalMs = Number(process.env.GE_SIM_INTERVAL_MS || 2500);
   const maxBots = Number(process.env.GE_SIM_MAX_BOTS || GE_SHIPS);
 
-  // lightweight "live action": bots place small entries on random ships while round is running.
+  // lightweight "live action": bots place entries while the round is running.
+  // GE_SIM_STRATEGIES picks the bot mix (see src/simulator.js), GE_SIM_SEED makes runs reproducible.
   if (!simEnabled) {
     console.log("🤖 GE simulator disabled (GE_SIM_ENABLED=false)");
-  } else {
-  setInterval(async () => {
-    try {
-      const round = await getCurrentRound();
-      if (!round || round.status !== "running") return;
-
-      // stop creating entries close to the end
-      const cutoffMs = Number(process.env.GE_ENTRY_CUTOFF_MS || 15000);
-      if (Date.now() > new Date(round.ends_at).getTime() - cutoffMs) return;
+    return;
+  }
 
-      // decide number of actions this tick
-      const actions = 1 + crypto.randomInt(0, 3); // 1-3
+  const spec = process.env.GE_SIM_STRATEGIES || `random:${maxBots}`;
+  const seed = process.env.GE_SIM_SEED || crypto.randomBytes(8).toString("hex");
+  try {
+    parseStrategySpec(spec);
+  } catch (e) {
+    console.warn("🤖 GE simulator misconfigured:", e.message);
+    return;
+  }
+  console.log(`🤖 GE simulator: ${spec}, seed=${seed}`);
 
-      for (let a = 0; a < actions; a++) {
-        const botId = crypto.randomInt(0, maxBots);
-        const wallet = `bot-${botId}`;
-        const shipIndex = crypto.randomInt(0, GE_SHIPS);
-        const qty = 1 + crypto.randomInt(0, 2); // 1-2 (smaller bot buys)
+  // One bot pool per table (seeded "<seed>:<table>") so per-round bot memory never mixes tables.
+  const sims = new Map();
+  const simFor = (tableKey) => {
+    if (!sims.has(tableKey)) sims.set(tableKey, createSimulator({ seed: `${seed}:${tableKey}`, spec }));
+    return sims.get(tableKey);
+  };
 
-        await query(
-          `INSERT INTO ge_entries (round_id, wallet, ship_index, qty)
-           VALUES ($1,$2,$3,$4)`,
-          [round.id, wallet, shipIndex, qty]
+  async function tickTable(tableKey) {
+    const round = await getCurrentRound(tableKey);
+    if (!round || round.status !== "running") return;
+
+    // stop creating entries close to the end
+    const cfg = geRoundConfig(round);
+    if (Date.now() > new Date(round.ends_at).getTime() - cfg.entryCutoffMs) return;
+
+    const stats = await getRoundStats(round.id, cfg.shipsCount);
+    const actions = simFor(tableKey).tick({
+      now: Date.now(),
+      round: { id: round.id, ends_at: round.ends_at },
+      shipsCount: cfg.shipsCount,
+      entryCutoffMs: cfg.entryCutoffMs,
+      tickMs: intervalMs,
+      perShip: stats.perShip,
+    });
+    if (actions.length === 0) return;
+
+    const placed = await withTransaction(async (tx) => {
+      if (!(await lockRoundForEntries(round.id))) return false;
+      for (const a of actions) {
+        await tx(
+          `INSERT INTO ge_entries (round_id, wallet, ship_index, qty, is_bot)
+           VALUES ($1,$2,$3,$4,TRUE)`,
+          [round.id, a.wallet, a.ship_index, a.qty]
         );
       }
+      return true;
+    });
+    if (!placed) return;
+
+    for (const a of actions) {
+      publishGe("entry", { table: tableKey, round_id: round.id, wallet: a.wallet, ship_index: a.ship_index, qty: a.qty, bot: true });
+    }
+    publishGe("stats", { table: tableKey, round_id: round.id, stats: await getRoundStats(round.id, cfg.shipsCount) });
+  }
+
+  setInterval(async () => {
+    try {
+      const tables = await query(`SELECT table_key FROM ge_tables WHERE active=TRUE ORDER BY sort_order, table_key`);
+      for (const t of tables.rows) await tickTable(t.table_key);
     } catch (e) {
       // don't crash the process
       console.warn("[ge] simulator tick failed", e?.message || e);
     }
   }, intervalMs);
-  }
 }
 
 initDb()
   .then(() => {
     app.listen(PORT, () => console.log(`✅ Zeruva API running on ${PORT}`));
+    startGeEventBus().catch((e) => console.warn("[ge] event bus LISTEN failed, using local delivery", e?.message || e));
+    startGreatExpeditionScheduler();
     startGreatExpeditionSimulator();
+    startTreasuryReconciler();
   })
   .catch((err) => {
     console.error("❌ Failed to initialize DB", err);
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+// Provably-fair helpers for Great Expedition rounds.
+// Everything here is pure so settlement and the public /verify endpoint share one implementation.
+
+function sha256Hex(input) {
+  return crypto.createHash("sha256").update(input).digest("hex");
+}
+
+function newRoundSecret() {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { secret, commit: sha256Hex(secret) };
+}
+
+/**
+ * Settlement seed = sha256("<secret>:<roundId>:<endsAtISO>:<totalEntries>[:<entriesRoot>]").
+ * The entries root suffix is only present on rounds committed at cutoff (see merkleRoot);
+ * older rounds keep the original preimage.
+ * Returns the exact hash input too so clients can reproduce it byte-for-byte.
+ */
+function deriveRoundSeed({ secret, roundId, endsAt, totalEntries, entriesRoot }) {
+  let input = `${secret}:${roundId}:${new Date(endsAt).toISOString()}:${totalEntries}`;
+  if (entriesRoot) input += `:${entriesRoot}`;
+  return { input, seed: sha256Hex(input) };
+}
+
+/** Merkle leaf for one ge_entries row. */
+function entryLeaf({ round_id, id, wallet, ship_index, qty }) {
+  return sha256Hex(`ge_entry:${round_id}:${id}:${wallet}:${ship_index}:${qty}`);
+}
+
+/**
+ * Merkle tree over leaves (hex strings, in entry id order). Parent = sha256_hex(left + right);
+ * an unpaired last node is carried up unchanged. Returns every level, leaves first.
+ * No leaves -> root sha256_hex("").
+ */
+function buildMerkleTree(leaves) {
+  const levels = [leaves.length ? [...leaves] : [sha256Hex("")]];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2) {
+      next.push(i + 1 < prev.length ? sha256Hex(prev[i] + prev[i + 1]) : prev[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function merkleRoot(leaves) {
+  const levels = buildMerkleTree(leaves);
+  return levels[levels.length - 1][0];
+}
+
+/** Sibling path for leaf `index`: [{ position: "left" | "right", hash }], bottom-up. */
+function merkleProof(levels, index) {
+  const proof = [];
+  let i = index;
+  for (let l = 0; l < levels.length - 1; l++) {
+    const level = levels[l];
+    const sibling = i % 2 === 0 ? i + 1 : i - 1;
+    if (sibling < level.length) {
+      proof.push({ position: i % 2 === 0 ? "right" : "left", hash: level[sibling] });
+    }
+    i = Math.floor(i / 2);
+  }
+  return proof;
+}
+
+function verifyMerkleProof({ leaf, proof, root }) {
+  let h = leaf;
+  for (const p of proof) h = p.position === "left" ? sha256Hex(p.hash + h) : sha256Hex(h + p.hash);
+  return h === root;
+}
+
+/**
+ * Winner selection: weighted by entries (tickets), not by ship.
+ * ticket = int(seed[0..12], 16) % totalEntries; walk ships in index order accumulating qty,
+ * the first ship whose running total exceeds the ticket wins. No entries -> ship 0, no ticket.
+ */
+function pickWinningShip({ seed, perShip }) {
+  const totalEntries = perShip.reduce((a, s) => a + Number(s.qty || 0), 0);
+  if (totalEntries <= 0) return { ticket: null, winningShip: 0 };
+
+  const ticket = parseInt(seed.slice(0, 12), 16) % totalEntries;
+  let acc = 0;
+  for (let i = 0; i < perShip.length; i++) {
+    acc += Number(perShip[i]?.qty || 0);
+    if (ticket < acc) return { ticket, winningShip: i };
+  }
+  return { ticket, winningShip: 0 };
+}
+
+/**
+ * Uniform integer in [0, n) derived from the seed, a label and a counter.
+ * Every derived sequence (elimination order, race timeline, ...) uses its own label
+ * so they stay independent of each other and of the winner ticket.
+ */
+function seededInt(seed, label, i, n) {
+  return parseInt(sha256Hex(`${seed}:${label}:${i}`).slice(0, 12), 16) % n;
+}
+
+/**
+ * Progressive jackpot trigger: roll = seededInt(seed, "jackpot", 0, odds); hits when roll is 0,
+ * i.e. once every `odds` rounds on average. odds <= 0 disables it.
+ */
+function jackpotRoll({ seed, odds }) {
+  if (!(odds > 0)) return { roll: null, hit: false };
+  const roll = seededInt(seed, "jackpot", 0, odds);
+  return { roll, hit: roll === 0 };
+}
+
+/**
+ * Elimination mode: ships are knocked out one by one, the winning ship survives last.
+ * Non-winning ships are Fisher-Yates shuffled (from the end, j = seededInt(seed, "elim", i, i + 1)).
+ * Returns ship indices in elimination order (first eliminated first, winner last).
+ */
+function deriveEliminationOrder({ seed, shipsCount, winningShip }) {
+  const others = [];
+  for (let i = 0; i < shipsCount; i++) if (i !== winningShip) others.push(i);
+  for (let i = others.length - 1; i > 0; i--) {
+    const j = seededInt(seed, "elim", i, i + 1);
+    const tmp = others[i];
+    others[i] = others[j];
+    others[j] = tmp;
+  }
+  return [...others, winningShip];
+}
+
+/**
+ * Race mode: per-ship cumulative progress at each checkpoint (0..1000 = finish line).
+ * Each ship advances seededInt(seed, `race:<ship>`, cp, 100) + 1 per checkpoint; totals are then
+ * scaled so the winner crosses the line exactly at the last checkpoint and every other ship
+ * finishes strictly behind it (max 999), preserving their relative order.
+ */
+function deriveRaceTimeline({ seed, shipsCount, winningShip, checkpoints = 10 }) {
+  const FINISH = 1000;
+  const raw = [];
+  for (let ship = 0; ship < shipsCount; ship++) {
+    const steps = [];
+    let acc = 0;
+    for (let cp = 0; cp < checkpoints; cp++) {
+      acc += seededInt(seed, `race:${ship}`, cp, 100) + 1;
+      steps.push(acc);
+    }
+    raw.push(steps);
+  }
+
+  const maxOther = Math.max(1, ...raw.filter((_, i) => i !== winningShip).map((s) => s[s.length - 1]));
+  const positions = raw.map((steps, ship) => {
+    const final = steps[steps.length - 1];
+    const target = ship === winningShip ? FINISH : Math.floor((final / maxOther) * (FINISH - 1) * 0.98);
+    return steps.map((v) => Math.floor((v / final) * target));
+  });
+
+  const finishOrder = Array.from({ length: shipsCount }, (_, i) => i).sort((a, b) => {
+    if (a === winningShip) return -1;
+    if (b === winningShip) return 1;
+    return positions[b][checkpoints - 1] - positions[a][checkpoints - 1] || a - b;
+  });
+
+  return { finish: FINISH, checkpoints, positions, finish_order: finishOrder };
+}
+
+module.exports = {
+  sha256Hex,
+  newRoundSecret,
+  deriveRoundSeed,
+  entryLeaf,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+  pickWinningShip,
+  seededInt,
+  jackpotRoll,
+  deriveEliminationOrder,
+  deriveRaceTimeline,
+};
@@ -0,0 +1,200 @@
+const nacl = require("tweetnacl");
+const bs58 = require("bs58").default;
+const { createRng, createSimulator, decideFor, STRATEGIES } = require("./simulator");
+
+// GE load mode: N concurrent virtual users drive a running server through the public HTTP API
+// using the simulator's bot strategies, then report latency / error stats per endpoint.
+//
+//   node src/loadtest.js --url http://localhost:3000 --users 50 --duration 60 --seed demo
+//   node src/loadtest.js --strategies favorite-ship:20,sniper:10,balance-spender:5 --dev-auth
+//   node src/loadtest.js --table high --users 20
+//
+// --dev-auth uses the x-dev-wallet header (server needs DEV_GUEST_AUTH=1); otherwise every
+// virtual user signs in with a fresh keypair via /api/auth/nonce + /api/auth/verify.
+// /api/v2/ge/enter spends entry credits, so users without credits see 402s there.
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, idx)];
+}
+
+function createStats() {
+  const endpoints = new Map();
+  return {
+    record(name, ms, status) {
+      if (!endpoints.has(name)) endpoints.set(name, { latencies: [], statuses: {}, errors: 0 });
+      const e = endpoints.get(name);
+      e.latencies.push(ms);
+      e.statuses[status] = (e.statuses[status] || 0) + 1;
+      if (!(typeof status === "number" && status >= 200 && status < 300)) e.errors++;
+    },
+    report() {
+      const out = {};
+      let requests = 0;
+      let errors = 0;
+      for (const [name, e] of endpoints) {
+        const sorted = [...e.latencies].sort((a, b) => a - b);
+        requests += sorted.length;
+        errors += e.errors;
+        out[name] = {
+          count: sorted.length,
+          errors: e.errors,
+          statuses: e.statuses,
+          latency_ms: {
+            min: sorted[0] ?? 0,
+            mean: sorted.length ? Math.round((sorted.reduce((a, b) => a + b, 0) / sorted.length) * 100) / 100 : 0,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99),
+            max: sorted[sorted.length - 1] ?? 0,
+          },
+        };
+      }
+      return { requests, errors, endpoints: out };
+    },
+  };
+}
+
+async function timedFetch(stats, name, url, init) {
+  const t0 = process.hrtime.bigint();
+  try {
+    const res = await fetch(url, init);
+    const text = await res.text();
+    stats.record(name, Number(process.hrtime.bigint() - t0) / 1e6, res.status);
+    let body = null;
+    try { body = JSON.parse(text); } catch {}
+    return { status: res.status, body };
+  } catch (e) {
+    stats.record(name, Number(process.hrtime.bigint() - t0) / 1e6, e?.cause?.code || "network_error");
+    return { status: 0, body: null };
+  }
+}
+
+async function login({ baseUrl, stats, devAuth, devWallet }) {
+  if (devAuth) return { "x-dev-wallet": devWallet };
+
+  const kp = nacl.sign.keyPair();
+  const wallet = bs58.encode(Buffer.from(kp.publicKey));
+  const json = { "content-type": "application/json" };
+  const n = await timedFetch(stats, "POST /api/auth/nonce", `${baseUrl}/api/auth/nonce`, {
+    method: "POST", headers: json, body: JSON.stringify({ wallet }),
+  });
+  if (!n.body?.message) return null;
+  const signature = bs58.encode(Buffer.from(nacl.sign.detached(Buffer.from(n.body.message), kp.secretKey)));
+  const v = await timedFetch(stats, "POST /api/auth/verify", `${baseUrl}/api/auth/verify`, {
+    method: "POST", headers: json, body: JSON.stringify({ wallet, signature, nonce: n.body.nonce }),
+  });
+  return v.body?.token ? { authorization: `Bearer ${v.body.token}` } : null;
+}
+
+async function runVirtualUser({ bot, rng, baseUrl, stats, deadline, thinkMs, devAuth, table }) {
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const auth = await login({ baseUrl, stats, devAuth, devWallet: bot.wallet });
+  if (!auth) return;
+  const headers = { "content-type": "application/json", ...auth };
+  const usesBalance = !!STRATEGIES[bot.strategy].usesBalance;
+  const qs = `?table=${encodeURIComponent(table)}`;
+
+  for (let i = 0; Date.now() < deadline; i++) {
+    const cur = await timedFetch(stats, "GET /api/v2/ge/round/current", `${baseUrl}/api/v2/ge/round/current${qs}`);
+    const round = cur.body?.round;
+    if (round && round.status === "running") {
+      const picks = decideFor(bot, {
+        rng,
+        now: Date.now(),
+        round: { id: round.id, ends_at: round.ends_at },
+        shipsCount: cur.body?.config?.ships || cur.body?.stats?.perShip?.length || 1,
+        entryCutoffMs: cur.body?.config?.entry_cutoff_ms || 0,
+        tickMs: thinkMs,
+        perShip: cur.body?.stats?.perShip || [],
+        poolSize: 1, // each virtual user decides on its own clock
+      });
+      for (const p of picks) {
+        const path = usesBalance ? "/api/v2/ge/enter-from-balance" : "/api/v2/ge/enter";
+        await timedFetch(stats, `POST ${path}`, `${baseUrl}${path}`, {
+          method: "POST", headers, body: JSON.stringify({ table, ship_index: p.ship_index, qty: p.qty }),
+        });
+      }
+    }
+    if (i % 5 === 4) {
+      await timedFetch(stats, "GET /api/v2/ge/me", `${baseUrl}/api/v2/ge/me${qs}`, { headers });
+    }
+    // +-50% jitter from the user's own RNG so runs stay reproducible per seed
+    await sleep(Math.round(thinkMs * (0.5 + rng.next())));
+  }
+}
+
+async function runLoad({ baseUrl, users = 10, durationMs = 30_000, seed, strategies, thinkMs = 1000, devAuth = false, table = "main" }) {
+  const sim = createSimulator({ seed, spec: strategies || `random:${users}`, walletPrefix: "load-" });
+  const stats = createStats();
+  const startedAt = Date.now();
+  const deadline = startedAt + durationMs;
+
+  await Promise.all(
+    sim.bots.map((bot) =>
+      runVirtualUser({
+        bot,
+        rng: createRng(`${sim.seed}:${bot.id}`),
+        baseUrl,
+        stats,
+        deadline,
+        thinkMs,
+        devAuth,
+        table,
+      })
+    )
+  );
+
+  const elapsedMs = Date.now() - startedAt;
+  const r = stats.report();
+  return {
+    seed: sim.seed,
+    table,
+    users: sim.bots.length,
+    strategies: sim.bots.reduce((acc, b) => ({ ...acc, [b.strategy]: (acc[b.strategy] || 0) + 1 }), {}),
+    duration_ms: elapsedMs,
+    requests: r.requests,
+    errors: r.errors,
+    error_rate: r.requests ? r.errors / r.requests : 0,
+    rps: r.requests / (elapsedMs / 1000),
+    endpoints: r.endpoints,
+  };
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) args[key] = true;
+    else { args[key] = next; i++; }
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  runLoad({
+    baseUrl: String(args.url || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ""),
+    users: Number(args.users || 10),
+    durationMs: Number(args.duration || 30) * 1000,
+    seed: args.seed,
+    strategies: args.strategies,
+    thinkMs: Number(args["think-ms"] || 1000),
+    devAuth: !!args["dev-auth"],
+    table: args.table ? String(args.table) : undefined,
+  })
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch((e) => {
+      console.error("load test failed:", e.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runLoad, createStats, percentile };
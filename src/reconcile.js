@@ -0,0 +1,146 @@
+const { PublicKey } = require("@solana/web3.js");
+
+// Treasury reconciliation: internal ledger (payments, ge_balances, withdrawals, claims)
+// vs. the real SOL held by the receiving wallets.
+// `query` is db.query and `connection` is anything with getBalance(PublicKey) -> lamports
+// (a web3.js Connection in production, a stub or local validator in tests).
+
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+async function sumSol(query, sql, params = []) {
+  const r = await query(sql, params);
+  return Number(r.rows[0]?.s || 0);
+}
+
+async function reconcileTreasury({
+  query,
+  connection,
+  adminWallet,
+  geTreasuryWallet,
+  creditPriceSol = 0,
+  toleranceSol = 0.000001,
+}) {
+  // Inflows: SOL actually transferred on-chain by players. Balance- and credit-funded entries and
+  // entry cancellations (signatures 'ge_balance:...' / 'ge_credit:...' / 'ge_cancel:...') move
+  // money inside the ledger only.
+  const adminInflows = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(amount_sol),0) AS s FROM payments
+     WHERE kind LIKE 'buy_egg:%' OR kind LIKE 'buy_ship:%'`
+  );
+  const geInflows = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(amount_sol),0) AS s FROM payments
+     WHERE (kind LIKE 'ge_entry:%' OR kind LIKE 'ge_limit_credit:%' OR kind LIKE 'ge_credits:%'
+            OR kind LIKE 'ge_side_bet:%')
+       AND signature NOT LIKE 'ge_balance:%' AND signature NOT LIKE 'ge_credit:%'
+       AND signature NOT LIKE 'ge_cancel:%'`
+  );
+
+  // Outflows already on-chain.
+  const claimPaid = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(lamports),0) AS s FROM claim_intents WHERE status='paid'`
+  ) / LAMPORTS_PER_SOL;
+  const withdrawalsPaid = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(amount_sol),0) AS s FROM ge_withdrawals WHERE status='paid'`
+  );
+
+  // Liabilities: what players can still pull out or get back. Simulator bot balances (legacy, from before
+  // bots were excluded from payouts) can never be withdrawn, so they are reported apart.
+  const playerBalances = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(balance),0) AS s FROM ge_balances WHERE wallet <> '__treasury__' AND wallet NOT LIKE 'bot-%'`
+  );
+  const botBalances = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(balance),0) AS s FROM ge_balances WHERE wallet LIKE 'bot-%'`
+  );
+  const houseBalance = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(balance),0) AS s FROM ge_balances WHERE wallet = '__treasury__'`
+  );
+  // Reserved for a future jackpot winner; house money until it hits.
+  const jackpotPool = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(balance),0) AS s FROM ge_jackpot`
+  );
+  // Debited from ge_balances but not yet confirmed on-chain.
+  const withdrawalsInFlight = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(amount_sol),0) AS s FROM ge_withdrawals WHERE status IN ('debited','sending')`
+  );
+  // Unspent entry credits were bought with SOL and are refunded or spent at creditPriceSol.
+  const outstandingCredits = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(credits),0) AS s FROM user_credits`
+  );
+  const creditsSol = outstandingCredits * creditPriceSol;
+  // Real entries of rounds not settled yet (or closed and not refunded yet): a cancellation or a
+  // closed round gives them back, so they are owed until the round settles.
+  const openStakes = await sumSol(
+    query,
+    `SELECT COALESCE(SUM(e.qty * COALESCE(e.ticket_sol, r.entry_price_sol)),0) AS s
+     FROM ge_entries e
+     JOIN ge_rounds r ON r.id = e.round_id
+     WHERE NOT e.is_bot
+       AND (r.status IN ('open','running','filling') OR (r.status = 'closed' AND r.refunded_at IS NULL))`
+  );
+
+  const wallets = [...new Set([adminWallet, geTreasuryWallet].filter(Boolean))];
+  const onchain = {};
+  let onchainTotal = 0;
+  for (const w of wallets) {
+    const lamports = await connection.getBalance(new PublicKey(w), "confirmed");
+    onchain[w] = Number(lamports) / LAMPORTS_PER_SOL;
+    onchainTotal += onchain[w];
+  }
+
+  const liabilities = playerBalances + withdrawalsInFlight + creditsSol + openStakes;
+  const expectedLedger = adminInflows + geInflows - claimPaid - withdrawalsPaid;
+  const flags = [];
+
+  if (onchainTotal + toleranceSol < liabilities) {
+    flags.push({ code: "shortfall", severity: "critical", amount_sol: liabilities - onchainTotal });
+  }
+  // Withdrawals are paid from the GE treasury key alone, so it must cover GE liabilities by itself.
+  if (geTreasuryWallet && wallets.length > 1) {
+    if (onchain[geTreasuryWallet] + toleranceSol < liabilities) {
+      flags.push({
+        code: "ge_treasury_shortfall",
+        severity: "critical",
+        amount_sol: liabilities - onchain[geTreasuryWallet],
+      });
+    }
+  }
+  // Less SOL on-chain than the ledger says came in net: money left the wallets outside our flows
+  // (tx fees show up here too, hence only a warning). A surplus is expected (initial funding).
+  if (onchainTotal + toleranceSol < expectedLedger) {
+    flags.push({ code: "ledger_drift", severity: "warning", amount_sol: expectedLedger - onchainTotal });
+  }
+
+  return {
+    ok: flags.every((f) => f.severity !== "critical"),
+    generated_at: new Date().toISOString(),
+    inflows: { admin_sol: adminInflows, ge_sol: geInflows, total_sol: adminInflows + geInflows },
+    outflows: { claims_paid_sol: claimPaid, ge_withdrawals_paid_sol: withdrawalsPaid, total_sol: claimPaid + withdrawalsPaid },
+    liabilities: {
+      player_balances_sol: playerBalances,
+      ge_withdrawals_in_flight_sol: withdrawalsInFlight,
+      outstanding_credits: outstandingCredits,
+      outstanding_credits_sol: creditsSol,
+      open_round_stakes_sol: openStakes,
+      total_sol: liabilities,
+    },
+    house_balance_sol: houseBalance,
+    jackpot_pool_sol: jackpotPool,
+    bot_balances_sol: botBalances,
+    onchain: { wallets: onchain, total_sol: onchainTotal },
+    expected_ledger_sol: expectedLedger,
+    surplus_sol: onchainTotal - liabilities,
+    flags,
+  };
+}
+
+module.exports = { reconcileTreasury };
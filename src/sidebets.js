@@ -0,0 +1,133 @@
+// GE side-bet markets: fixed-odds propositions on a round's outcome.
+// Pure helpers; settleRound resolves every market from the same seed-derived winner, so a
+// market's result is as verifiable as the round itself (see /api/v2/ge/round/:id/verify).
+
+// kind -> { parse(raw) -> params | null, validate(params, shipsCount, oddsBps) -> error | null,
+//           chance(params, perShip) -> number | null, resolve(params, outcome) -> boolean,
+//           label(params) -> string }
+// outcome: { winningShip, perShip: [{ ship_index, qty }] } (qty = real tickets drawn)
+// Odds are fixed by whoever creates the market. Where a kind has a natural prior, validate()
+// rejects odds above it. The draw is weighted by entries and live totals are public, so every
+// bet is also checked against chance() at the current totals (checkLiveOdds): a bet the
+// fixed odds would make worth more than its stake on average is refused.
+// Probability that the entry-weighted draw lands on a ship matching pred; null with no tickets.
+function shareOf(perShip, pred) {
+  const total = perShip.reduce((a, x) => a + x.qty, 0);
+  if (!(total > 0)) return null;
+  return perShip.filter(pred).reduce((a, x) => a + x.qty, 0) / total;
+}
+
+const MARKET_KINDS = {
+  // Winner is one of ships from..to (inclusive).
+  ship_range: {
+    parse(raw) {
+      const m = /^(\d+)-(\d+)$/.exec(String(raw));
+      return m ? { from: Number(m[1]), to: Number(m[2]) } : null;
+    },
+    validate(p, shipsCount, oddsBps) {
+      if (!Number.isInteger(p?.from) || !Number.isInteger(p?.to) || p.from < 0 || p.to < p.from) {
+        return "ship_range needs 0 <= from <= to";
+      }
+      if (p.to >= shipsCount) return `ship_range.to must be < ${shipsCount}`;
+      // Implied probability (1 / odds) must not be below the range's share of the ships.
+      const ships = p.to - p.from + 1;
+      if (oddsBps * ships > shipsCount * 10000) {
+        return `ship_range odds must be <= ${Math.floor((shipsCount * 10000) / ships) / 10000} (${ships} of ${shipsCount} ships)`;
+      }
+      return null;
+    },
+    chance(p, perShip) {
+      return shareOf(perShip, (x) => x.ship_index >= p.from && x.ship_index <= p.to);
+    },
+    resolve(p, o) {
+      return o.winningShip >= p.from && o.winningShip <= p.to;
+    },
+    label(p) {
+      return `Winner is ship ${p.from}-${p.to}`;
+    },
+  },
+
+  // Winning ship drew fewer than n entries in total.
+  winner_entries_below: {
+    parse(raw) {
+      return /^\d+$/.test(String(raw)) ? { n: Number(raw) } : null;
+    },
+    validate(p) {
+      if (!Number.isInteger(p?.n) || p.n < 1) return "winner_entries_below needs n >= 1";
+      return null;
+    },
+    chance(p, perShip) {
+      return shareOf(perShip, (x) => x.qty < p.n);
+    },
+    resolve(p, o) {
+      return Number(o.perShip[o.winningShip]?.qty || 0) < p.n;
+    },
+    label(p) {
+      return `Winning ship has fewer than ${p.n} entries`;
+    },
+  },
+};
+
+/** Decimal odds (2.5 = stake back x2.5) <-> integer bps of stake (25000). */
+function oddsToBps(odds) {
+  const bps = Math.round(Number(odds) * 10000);
+  return Number.isInteger(bps) && bps > 10000 ? bps : null;
+}
+
+function validateMarket({ kind, params, oddsBps }, shipsCount) {
+  const k = MARKET_KINDS[kind];
+  if (!k) return `Unknown market kind: ${kind}`;
+  if (!Number.isInteger(oddsBps) || oddsBps <= 10000 || oddsBps > 1_000_000) {
+    return "odds must be > 1 and <= 100";
+  }
+  return k.validate(params, shipsCount, oddsBps);
+}
+
+/**
+ * Odds check at bet time against the live tickets (perShip as in outcome). Returns an error when
+ * oddsBps * chance > 1, i.e. the bet has a positive expectation; null otherwise or while the
+ * round has no tickets yet (validate() already capped the odds for that case).
+ */
+function checkLiveOdds({ kind, params, oddsBps }, perShip) {
+  const chance = MARKET_KINDS[kind]?.chance(params, perShip);
+  if (chance === null || chance === undefined) return null;
+  if (oddsBps * chance > 10000) {
+    return `Odds closed: ${oddsBps / 10000} pays more than the current ${Math.round(chance * 10000) / 100}% chance`;
+  }
+  return null;
+}
+
+/**
+ * "ship_range:0-4@2.5,winner_entries_below:10@3" -> [{ kind, params, oddsBps }]
+ * (GE_SIDE_MARKETS: markets attached to every new table round).
+ */
+function parseMarketSpec(spec) {
+  const out = [];
+  for (const part of String(spec || "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    const m = /^([a-z_]+):([^@]+)@([\d.]+)$/.exec(part);
+    const k = m && MARKET_KINDS[m[1]];
+    const params = k ? k.parse(m[2]) : null;
+    const oddsBps = m ? oddsToBps(m[3]) : null;
+    if (!params || !oddsBps) throw new Error(`Invalid side market spec: ${part}`);
+    out.push({ kind: m[1], params, oddsBps });
+  }
+  return out;
+}
+
+function resolveMarket({ kind, params }, outcome) {
+  return !!MARKET_KINDS[kind].resolve(params, outcome);
+}
+
+function marketLabel({ kind, params }) {
+  return MARKET_KINDS[kind]?.label(params) || kind;
+}
+
+module.exports = {
+  MARKET_KINDS,
+  oddsToBps,
+  validateMarket,
+  checkLiveOdds,
+  parseMarketSpec,
+  resolveMarket,
+  marketLabel,
+};
@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+
+// GE bot simulator: seeded RNG + pluggable bot strategies.
+// Used in-process by startGreatExpeditionSimulator (bots write ge_entries directly) and by
+// src/loadtest.js (virtual users go through the HTTP API). Same seed + same spec = same bots
+// making the same decisions for the same inputs.
+
+/** mulberry32 over a 32-bit state derived from sha256(seed). */
+function createRng(seed) {
+  let state = parseInt(crypto.createHash("sha256").update(String(seed)).digest("hex").slice(0, 8), 16) >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min)), // [min, max)
+    chance: (p) => next() < p,
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+  };
+}
+
+// Every strategy: decide(bot, ctx) -> [{ ship_index, qty }] (empty = do nothing this tick).
+// ctx: { rng, now, round: { id, ends_at }, shipsCount, entryCutoffMs, tickMs, perShip }
+// bot.state is private per-bot memory that survives across ticks.
+const STRATEGIES = {
+  // Original simulator behaviour: small buys on random ships, ~2 actions per tick across the pool.
+  random: {
+    decide(bot, ctx) {
+      if (!ctx.rng.chance(Math.min(1, 2 / ctx.poolSize))) return [];
+      return [{ ship_index: ctx.rng.int(0, ctx.shipsCount), qty: ctx.rng.int(1, 3) }];
+    },
+  },
+
+  // Loyal to one ship for its whole life.
+  "favorite-ship": {
+    decide(bot, ctx) {
+      if (bot.state.favorite === undefined || bot.state.favorite >= ctx.shipsCount) {
+        bot.state.favorite = ctx.rng.int(0, ctx.shipsCount);
+      }
+      if (!ctx.rng.chance(0.3)) return [];
+      return [{ ship_index: bot.state.favorite, qty: ctx.rng.int(1, 4) }];
+    },
+  },
+
+  // Rare, large single buy; at most once per round.
+  whale: {
+    decide(bot, ctx) {
+      if (bot.state.round === ctx.round.id || !ctx.rng.chance(0.03)) return [];
+      bot.state.round = ctx.round.id;
+      return [{ ship_index: ctx.rng.int(0, ctx.shipsCount), qty: ctx.rng.int(20, 61) }];
+    },
+  },
+
+  // Waits for the last moments before the entry cutoff, then piles onto the least crowded ship.
+  sniper: {
+    decide(bot, ctx) {
+      const msLeft = new Date(ctx.round.ends_at).getTime() - ctx.entryCutoffMs - ctx.now;
+      const window = Math.max(3000, ctx.tickMs * 2);
+      if (msLeft > window || msLeft <= 0 || bot.state.round === ctx.round.id) return [];
+      bot.state.round = ctx.round.id;
+      let best = 0;
+      for (let i = 1; i < ctx.shipsCount; i++) {
+        if ((ctx.perShip[i]?.qty || 0) < (ctx.perShip[best]?.qty || 0)) best = i;
+      }
+      return [{ ship_index: best, qty: ctx.rng.int(3, 11) }];
+    },
+  },
+
+  // Spends a fixed per-round bankroll (in entries) in small chunks until it runs out.
+  // Over HTTP this maps to /api/v2/ge/enter-from-balance (see src/loadtest.js).
+  "balance-spender": {
+    usesBalance: true,
+    decide(bot, ctx) {
+      if (bot.state.round !== ctx.round.id) {
+        bot.state.round = ctx.round.id;
+        bot.state.bankroll = 20;
+      }
+      if (bot.state.bankroll <= 0 || !ctx.rng.chance(0.25)) return [];
+      const qty = Math.min(bot.state.bankroll, ctx.rng.int(1, 6));
+      bot.state.bankroll -= qty;
+      return [{ ship_index: ctx.rng.int(0, ctx.shipsCount), qty }];
+    },
+  },
+};
+
+/** "favorite-ship:4,whale:1" -> [{ strategy: "favorite-ship", count: 4 }, ...] */
+function parseStrategySpec(spec) {
+  const out = [];
+  for (const part of String(spec || "").split(",").map((x) => x.trim()).filter(Boolean)) {
+    const [name, countRaw] = part.split(":");
+    if (!STRATEGIES[name]) throw new Error(`Unknown bot strategy: ${name}`);
+    const count = countRaw === undefined ? 1 : Number(countRaw);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`Invalid bot count for ${name}`);
+    out.push({ strategy: name, count });
+  }
+  return out;
+}
+
+/**
+ * Build a bot pool. walletPrefix lets the load test use its own names; in-process bots keep
+ * the reserved 'bot-N' wallets.
+ */
+function createSimulator({ seed, spec, walletPrefix = "bot-" }) {
+  const resolvedSeed = seed ? String(seed) : crypto.randomBytes(8).toString("hex");
+  const rng = createRng(resolvedSeed);
+  const bots = [];
+  for (const { strategy, count } of parseStrategySpec(spec)) {
+    for (let i = 0; i < count; i++) {
+      bots.push({ id: bots.length, wallet: `${walletPrefix}${bots.length}`, strategy, state: {} });
+    }
+  }
+
+  return {
+    seed: resolvedSeed,
+    rng,
+    bots,
+    // One decision pass over all bots -> [{ wallet, strategy, ship_index, qty }]
+    tick(ctx) {
+      const actions = [];
+      for (const bot of bots) {
+        for (const a of decideFor(bot, { ...ctx, rng, poolSize: bots.length })) {
+          actions.push({ wallet: bot.wallet, strategy: bot.strategy, ...a });
+        }
+      }
+      return actions;
+    },
+  };
+}
+
+function decideFor(bot, ctx) {
+  const picks = STRATEGIES[bot.strategy].decide(bot, ctx) || [];
+  return picks.filter(
+    (p) => Number.isInteger(p.ship_index) && p.ship_index >= 0 && p.ship_index < ctx.shipsCount && p.qty > 0
+  );
+}
+
+module.exports = { createRng, STRATEGIES, parseStrategySpec, createSimulator, decideFor };
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sha256Hex, deriveRoundSeed, pickWinningShip } = require("../src/fair");
+
+test("deriveRoundSeed hashes the documented preimage", () => {
+  const args = { secret: "s3cret", roundId: 42, endsAt: "2026-01-02T03:04:05.000Z", totalEntries: 7 };
+  const { input, seed } = deriveRoundSeed(args);
+  assert.equal(input, "s3cret:42:2026-01-02T03:04:05.000Z:7");
+  assert.equal(seed, sha256Hex(input));
+  assert.deepEqual(deriveRoundSeed(args), { input, seed });
+});
+
+test("deriveRoundSeed appends the entries root when committed", () => {
+  const base = { secret: "s3cret", roundId: 42, endsAt: new Date("2026-01-02T03:04:05Z"), totalEntries: 7 };
+  const withRoot = deriveRoundSeed({ ...base, entriesRoot: "ab".repeat(32) });
+  assert.equal(withRoot.input, `s3cret:42:2026-01-02T03:04:05.000Z:7:${"ab".repeat(32)}`);
+  assert.notEqual(withRoot.seed, deriveRoundSeed(base).seed);
+});
+
+test("pickWinningShip maps the seed ticket onto cumulative entries", () => {
+  const perShip = [{ qty: 1 }, { qty: 3 }, { qty: 6 }];
+  const seedFor = (n) => n.toString(16).padStart(12, "0") + "f".repeat(52);
+  assert.deepEqual(pickWinningShip({ seed: seedFor(0), perShip }), { ticket: 0, winningShip: 0 });
+  assert.deepEqual(pickWinningShip({ seed: seedFor(1), perShip }), { ticket: 1, winningShip: 1 });
+  assert.deepEqual(pickWinningShip({ seed: seedFor(3), perShip }), { ticket: 3, winningShip: 1 });
+  assert.deepEqual(pickWinningShip({ seed: seedFor(4), perShip }), { ticket: 4, winningShip: 2 });
+  assert.deepEqual(pickWinningShip({ seed: seedFor(19), perShip }), { ticket: 9, winningShip: 2 });
+});
+
+test("pickWinningShip without entries picks ship 0 and no ticket", () => {
+  assert.deepEqual(pickWinningShip({ seed: sha256Hex("x"), perShip: [{ qty: 0 }, { qty: 0 }] }), {
+    ticket: null,
+    winningShip: 0,
+  });
+});
+
+test("pickWinningShip wins in proportion to entries, never on empty ships", () => {
+  const perShip = [{ qty: 1 }, { qty: 0 }, { qty: 3 }, { qty: 6 }];
+  const wins = [0, 0, 0, 0];
+  const draws = 20000;
+  for (let i = 0; i < draws; i++) wins[pickWinningShip({ seed: sha256Hex(`round-${i}`), perShip }).winningShip]++;
+  assert.equal(wins[1], 0);
+  for (const [i, share] of [[0, 0.1], [2, 0.3], [3, 0.6]]) {
+    assert.ok(Math.abs(wins[i] / draws - share) < 0.02, `ship ${i}: ${wins[i] / draws} vs ${share}`);
+  }
+});
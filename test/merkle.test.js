@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sha256Hex, entryLeaf, buildMerkleTree, merkleRoot, merkleProof, verifyMerkleProof } = require("../src/fair");
+
+const entries = (n) =>
+  Array.from({ length: n }, (_, i) => entryLeaf({ round_id: 9, id: i + 1, wallet: `w${i % 3}`, ship_index: i % 5, qty: i + 1 }));
+
+test("every leaf proves against the root, for odd and even leaf counts", () => {
+  for (const n of [1, 2, 3, 4, 5, 7, 8, 13]) {
+    const leaves = entries(n);
+    const levels = buildMerkleTree(leaves);
+    const root = merkleRoot(leaves);
+    assert.equal(levels[levels.length - 1][0], root);
+    leaves.forEach((leaf, i) => {
+      assert.ok(verifyMerkleProof({ leaf, proof: merkleProof(levels, i), root }), `n=${n} leaf ${i}`);
+    });
+  }
+});
+
+test("a proof fails for a changed leaf or another root", () => {
+  const leaves = entries(6);
+  const levels = buildMerkleTree(leaves);
+  const root = merkleRoot(leaves);
+  const proof = merkleProof(levels, 2);
+  const tampered = entryLeaf({ round_id: 9, id: 3, wallet: "w2", ship_index: 2, qty: 4 });
+  assert.ok(!verifyMerkleProof({ leaf: tampered, proof, root }));
+  assert.ok(!verifyMerkleProof({ leaf: leaves[2], proof, root: merkleRoot(entries(7)) }));
+});
+
+test("root: single leaf is itself, no leaves is sha256 of empty, pairs hash left+right", () => {
+  const [a, b, c] = entries(3);
+  assert.equal(merkleRoot([a]), a);
+  assert.equal(merkleRoot([]), sha256Hex(""));
+  assert.equal(merkleRoot([a, b, c]), sha256Hex(sha256Hex(a + b) + c));
+});
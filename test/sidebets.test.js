@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { oddsToBps, validateMarket, checkLiveOdds, parseMarketSpec, resolveMarket } = require("../src/sidebets");
+
+const perShip = (qtys) => qtys.map((qty, ship_index) => ({ ship_index, qty }));
+
+test("ship_range odds are capped by the range's share of the ships", () => {
+  const range = (from, to, odds) => ({ kind: "ship_range", params: { from, to }, oddsBps: oddsToBps(odds) });
+  assert.equal(validateMarket(range(0, 4, 3), 15), null);
+  assert.match(validateMarket(range(0, 4, 3.01), 15), /odds must be <= 3/);
+  assert.equal(validateMarket(range(0, 0, 15), 15), null);
+  assert.match(validateMarket(range(0, 14, 1.5), 15), /odds must be <= 1 /);
+  assert.match(validateMarket(range(3, 15, 1.1), 15), /must be < 15/);
+  assert.match(validateMarket(range(4, 3, 2), 15), /from <= to/);
+});
+
+test("validateMarket bounds odds and kinds", () => {
+  const m = { kind: "winner_entries_below", params: { n: 5 } };
+  assert.equal(validateMarket({ ...m, oddsBps: 30000 }, 15), null);
+  assert.match(validateMarket({ ...m, oddsBps: 10000 }, 15), /odds must be > 1/);
+  assert.match(validateMarket({ ...m, oddsBps: 1_000_001 }, 15), /<= 100/);
+  assert.match(validateMarket({ ...m, params: { n: 0 }, oddsBps: 30000 }, 15), /n >= 1/);
+  assert.match(validateMarket({ kind: "nope", params: {}, oddsBps: 30000 }, 15), /Unknown market kind/);
+});
+
+test("checkLiveOdds refuses odds above the live entry share", () => {
+  const range = { kind: "ship_range", params: { from: 0, to: 4 }, oddsBps: 25000 };
+  assert.equal(checkLiveOdds(range, perShip([0, 0, 0, 0, 0, 0])), null);
+  assert.equal(checkLiveOdds(range, perShip([1, 0, 0, 0, 0, 3])), null);
+  assert.match(checkLiveOdds(range, perShip([1, 3, 1, 0, 0, 3])), /Odds closed/);
+
+  const below = { kind: "winner_entries_below", params: { n: 2 }, oddsBps: 30000 };
+  assert.equal(checkLiveOdds(below, perShip([1, 1, 1, 3, 3])), null); // 3/9 exactly: no edge
+  assert.match(checkLiveOdds(below, perShip([1, 1, 1, 1, 3])), /Odds closed/);
+});
+
+test("parseMarketSpec reads the GE_SIDE_MARKETS format", () => {
+  assert.deepEqual(parseMarketSpec("ship_range:0-4@2.5, winner_entries_below:10@3"), [
+    { kind: "ship_range", params: { from: 0, to: 4 }, oddsBps: 25000 },
+    { kind: "winner_entries_below", params: { n: 10 }, oddsBps: 30000 },
+  ]);
+  assert.deepEqual(parseMarketSpec(""), []);
+  for (const bad of ["ship_range:0-4", "ship_range:a-b@2", "nope:1@2", "winner_entries_below:3@1"]) {
+    assert.throws(() => parseMarketSpec(bad), /Invalid side market spec/);
+  }
+});
+
+test("resolveMarket against the drawn outcome", () => {
+  const outcome = { winningShip: 3, perShip: perShip([2, 0, 5, 1]) };
+  assert.equal(resolveMarket({ kind: "ship_range", params: { from: 2, to: 3 } }, outcome), true);
+  assert.equal(resolveMarket({ kind: "ship_range", params: { from: 0, to: 2 } }, outcome), false);
+  assert.equal(resolveMarket({ kind: "winner_entries_below", params: { n: 2 } }, outcome), true);
+  assert.equal(resolveMarket({ kind: "winner_entries_below", params: { n: 1 } }, outcome), false);
+});
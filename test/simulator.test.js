@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRng, parseStrategySpec, createSimulator } = require("../src/simulator");
+
+const SPEC = "random:3,favorite-ship:2,whale:1,sniper:2,balance-spender:2";
+
+// Drives a pool through two rounds of ticks, feeding its own entries back into perShip.
+function run(seed, spec = SPEC) {
+  const sim = createSimulator({ seed, spec });
+  const shipsCount = 15;
+  const tickMs = 1000;
+  const entryCutoffMs = 5000;
+  const log = [];
+  for (const roundId of [1, 2]) {
+    const start = Date.UTC(2026, 0, 1) + roundId * 3_600_000;
+    const round = { id: roundId, ends_at: new Date(start + 120_000).toISOString() };
+    const perShip = Array.from({ length: shipsCount }, (_, ship_index) => ({ ship_index, qty: 0 }));
+    for (let now = start; now < start + 120_000 - entryCutoffMs; now += tickMs) {
+      const actions = sim.tick({ now, round, shipsCount, entryCutoffMs, tickMs, perShip });
+      for (const a of actions) perShip[a.ship_index].qty += a.qty;
+      log.push(...actions.map((a) => ({ roundId, now, ...a })));
+    }
+  }
+  return log;
+}
+
+test("same seed and spec make the same decisions", () => {
+  const a = run("seed-1");
+  assert.ok(a.length > 0);
+  assert.deepEqual(run("seed-1"), a);
+  assert.notDeepEqual(run("seed-2"), a);
+});
+
+test("every strategy in the spec acts", () => {
+  const strategies = new Set(run("seed-1").map((a) => a.strategy));
+  assert.deepEqual([...strategies].sort(), ["balance-spender", "favorite-ship", "random", "sniper", "whale"]);
+});
+
+test("createRng is a pure function of the seed", () => {
+  const draw = (seed) => {
+    const rng = createRng(seed);
+    return Array.from({ length: 5 }, () => rng.int(0, 1000));
+  };
+  assert.deepEqual(draw("x"), draw("x"));
+  assert.notDeepEqual(draw("x"), draw("y"));
+});
+
+test("parseStrategySpec", () => {
+  assert.deepEqual(parseStrategySpec("whale, sniper:3"), [
+    { strategy: "whale", count: 1 },
+    { strategy: "sniper", count: 3 },
+  ]);
+  assert.throws(() => parseStrategySpec("nope:1"), /Unknown bot strategy/);
+  assert.throws(() => parseStrategySpec("whale:-1"), /Invalid bot count/);
+});